@@ -1,12 +1,30 @@
 import * as React from 'react'
 
+declare global {
+  interface SymbolConstructor {
+    readonly observable: symbol
+  }
+}
+
 export type ValidationErrors = {
   [key: string]: any
 }
 export type Status = 'VALID' | 'INVALID' | 'DISABLED' | 'PENDING'
-export type InputType = 'checkbox' | 'radio' | 'switch'
+export type InputType =
+  | 'checkbox'
+  | 'radio'
+  | 'switch'
+  | 'select'
+  | 'file'
+  | 'number'
+  | 'range'
+  | 'checkboxGroup'
+  | 'textarea'
 export type Handler = {
-  value: any
+  /**
+   * Not defined for the `file` inputs.
+   */
+  value?: any
   onChange: (e: any) => void
   onBlur: (e: any) => void
   onFocus: (e: any) => void
@@ -14,11 +32,61 @@ export type Handler = {
   checked?: boolean
   editable?: boolean
   type?: string
+  multiple?: boolean
+  /**
+   * Passed to the React Native text inputs with a mask.
+   */
+  selection?: { start: number; end: number }
+  onSelectionChange?: (e: any) => void
+  /**
+   * The accessibility props, only emitted if the `accessibility` option is enabled.
+   */
+  id?: string
+  name?: string
+  'aria-invalid'?: boolean
+  'aria-required'?: boolean
+  'aria-describedby'?: string
+}
+export interface Subscription {
+  /**
+   * Removes the observer registered by the `subscribe` call.
+   */
+  unsubscribe: () => void
+  closed: boolean
+}
+export interface Observer<T> {
+  next: (value: T) => void
+  error: (err: any) => void
+  complete: () => void
 }
 export interface Observable<T> {
-  observers: Array<T>
-  subscribe: (fn: Function) => void
-  unsubscribe: (fn: Function) => void
+  observers: Array<Function | Partial<Observer<T>>>
+  subscribe(observer: Partial<Observer<T>>): Subscription
+  subscribe(
+    next?: (value: T) => void,
+    error?: (err: any) => void,
+    complete?: () => void
+  ): Subscription
+  /**
+   * Removes the given observer, or all the observers if none is passed.
+   */
+  unsubscribe: (fn?: Function) => void
+  next: (value?: T) => void
+  error: (err: any) => void
+  complete: () => void
+  /**
+   * Interop point for RxJS and other TC39 compatible observable libraries.
+   */
+  [Symbol.observable]: () => Observable<T>
+}
+/**
+ * An object which implements the TC39 `Symbol.observable` interop protocol,
+ * e.g an RxJS Observable.
+ */
+export interface InteropObservable<T> {
+  [Symbol.observable]: () => {
+    subscribe: (observer: Partial<Observer<T>>) => { unsubscribe: () => void }
+  }
 }
 type Meta = {
   value: any
@@ -36,7 +104,12 @@ type Meta = {
   _pendingValue: any
   hasError: (errorCode: string, path?: String | Number[] | String) => boolean
   getError: (errorCode: string, path?: String | Number[] | String) => any
-  handler: (inputType?: InputType, value?: string) => Handler
+  errorMessages: string[]
+  firstErrorMessage: string | null
+  handler: (
+    inputType?: InputType,
+    value?: string | number | boolean | { multiple?: boolean }
+  ) => Handler
 }
 interface Child {
   [key: string]: Meta
@@ -45,17 +118,89 @@ export type FormProps = Child & Meta
 export type FormHooks = 'change' | 'blur' | 'submit'
 
 export interface AbstractControlOptions {
-  validators?: ValidatorFn | ValidatorFn[] | null
-  asyncValidators?: AsyncValidatorFn | AsyncValidatorFn[] | null
+  validators?:
+    | ValidatorFn
+    | ValidatorDescriptor
+    | Array<ValidatorFn | ValidatorDescriptor>
+    | null
+  asyncValidators?:
+    | AsyncValidatorFn
+    | ValidatorDescriptor
+    | Array<AsyncValidatorFn | ValidatorDescriptor>
+    | null
   updateOn?: FormHooks
+  /**
+   * Time in milliseconds to wait after the last value change before running
+   * the async validators.
+   */
+  asyncValidatorDebounce?: number
+  /**
+   * Called when an async validator rejects or throws an error.
+   * The returned value (if not `undefined`) is set as the errors of the control,
+   * otherwise the control gets the `asyncValidatorFailed` error.
+   */
+  onAsyncValidatorError?: AsyncValidatorErrorFn
+  /**
+   * Converts the value of the input element into the value of the control, only used by `FormControl`.
+   * An array of transformers is applied from left to right.
+   */
+  parse?: TransformerFn | TransformerFn[]
+  /**
+   * Converts the value of the control into the value displayed by the input element, only used by `FormControl`.
+   */
+  format?: TransformerFn | TransformerFn[]
+  /**
+   * The pattern of the displayed value, only used by `FormControl`.
+   * `9` is a digit, `a` is a letter, `*` is a letter or a digit and the other characters are literals
+   * e.g `(999) 999-9999`. A function receives the alphanumeric characters of the value and returns the pattern.
+   */
+  mask?: string | ((value: string) => string)
+  /**
+   * Emits the `id`, `name` & `aria-*` props from the `handler` of the control and its descendants.
+   */
+  accessibility?: boolean
+  /**
+   * The prefix of the ids of the control and its descendants, default is `rrf`.
+   */
+  idPrefix?: string
+}
+export interface TransformerFn {
+  (value: any): any
+}
+export interface SubmitHandler {
+  (value: any, control: AbstractControl):
+    | { [path: string]: ValidationErrors | null }
+    | void
+    | Promise<{ [path: string]: ValidationErrors | null } | void>
+}
+export interface AsyncValidatorErrorFn {
+  (error: any, control: AbstractControl): ValidationErrors | null | void
 }
 export interface ValidatorFn {
   (c: AbstractControl | FormGroup | FormArray): ValidationErrors | null
+  /**
+   * Paths of the controls (resolved from the root control) the validator depends on.
+   */
+  dependsOn?: string[]
+}
+/**
+ * A serializable reference to a validator, either the name of a validator e.g `'required'`
+ * or the name of a validator factory followed by its arguments e.g `['minLength', 3]`.
+ * The names are resolved against the registered custom validators and the `Validators`.
+ */
+export type ValidatorDescriptor = string | any[]
+export interface SchemaAdapter<S = any> {
+  /**
+   * Validates the value against the schema and returns the errors by the dot delimited
+   * path of the invalid values, an empty path refers to the value itself.
+   */
+  validate(schema: S, value: any): { [path: string]: ValidationErrors }
 }
 export interface AsyncValidatorFn {
-  (c: AbstractControl | FormGroup | FormArray):
+  (c: AbstractControl | FormGroup | FormArray, signal?: AbortSignal):
     | Promise<ValidationErrors | null>
     | Observable<ValidationErrors | null>
+    | InteropObservable<ValidationErrors | null>
 }
 declare abstract class AbstractControl {
   constructor(
@@ -72,12 +217,29 @@ declare abstract class AbstractControl {
    * is re-calculated.
    */
   statusChanges: Observable<any>
+  /**
+   * Emits an event every time the state of the control changes.
+   */
+  stateChanges: Observable<void>
   value: any
   status: string
   /**
    * A control is `submitted` if the `handleSubmit` event has been triggered on it.
    */
   submitted: boolean
+  /**
+   * A control is `submitting` while the submit handler passed to `handleSubmit` is in progress.
+   */
+  submitting: boolean
+  /**
+   * The number of times the control has been submitted since the last reset.
+   */
+  submitCount: number
+  /**
+   * A control is `submitSucceeded` if the last submit was valid and the
+   * submit handler didn't return any errors.
+   */
+  submitSucceeded: boolean
   /**
    * A control is `valid` when its `status === VALID`.
    *
@@ -140,9 +302,55 @@ declare abstract class AbstractControl {
    * The parent control.
    */
   parent: FormGroup | FormArray
+  /**
+   * The name of the control in its parent, the index for the items of a `FormArray`.
+   * It's `null` for the root control.
+   */
+  readonly name: string | number | null
+  /**
+   * The names of the control and its ancestors from the root e.g `['addresses', 0, 'city']`.
+   */
+  readonly path: Array<string | number>
+  /**
+   * The dotted path of the control e.g `addresses.0.city`.
+   */
+  readonly pathString: string
   errors: ValidationErrors
   /**
-   * To set the meta properties
+   * The messages of the control's errors, resolved from `meta.errorMessages`
+   * or the messages registered with `setErrorMessages`.
+   */
+  readonly errorMessages: string[]
+  /**
+   * The message of the control's first error, `null` if the control has no errors.
+   */
+  readonly firstErrorMessage: string | null
+  /**
+   * Whether the `handler` emits the accessibility props, inherited from the parent.
+   */
+  readonly accessibility: boolean
+  /**
+   * A control is `required` if its validators contain `Validators.required` or `Validators.requiredTrue`.
+   */
+  readonly required: boolean
+  /**
+   * A stable id generated from the path of the control e.g `rrf-address-city`.
+   */
+  readonly id: string
+  /**
+   * The id of the element which displays the errors of the control.
+   */
+  readonly errorId: string
+  /**
+   * A control shows the errors if it's invalid and it has been touched or submitted.
+   */
+  readonly showErrors: boolean
+  /**
+   * Returns the props of the element which displays the errors of the control.
+   */
+  errorProps(): { id: string; role: string }
+  /**
+   * To set the meta properties, `meta.errorMessages` overrides the registered error messages.
    */
   meta: { [key: string]: any }
   /**
@@ -153,6 +361,10 @@ declare abstract class AbstractControl {
   updateOn: string
   validator: ValidatorFn | null
   asyncValidator: AsyncValidatorFn | null
+  /**
+   * Called when the async validator rejects or throws an error.
+   */
+  onAsyncValidatorError: AsyncValidatorErrorFn | null
   /**
    * Retrieves a child control given the control's name or path.
    *
@@ -171,6 +383,15 @@ declare abstract class AbstractControl {
    * Retrieves the top-level ancestor of this control.
    */
   root: () => AbstractControl
+  /**
+   * Returns the first descendant of the control which matches the predicate.
+   */
+  find(predicate: (control: AbstractControl) => boolean): AbstractControl | null
+  /**
+   * Calls the callback for each descendant of the control, the parents are visited
+   * before their children.
+   */
+  forEachDescendant(cb: (control: AbstractControl) => void): void
   /**
    * Disables the control. This means the control will be exempt from validation checks and
    * excluded from the aggregate value of any parent. Its status is `DISABLED`.
@@ -291,7 +512,10 @@ declare abstract class AbstractControl {
   /**
    * Binds an input element to control.
    */
-  handler: (inputType?: InputType, value?: string) => Handler
+  handler: (
+    inputType?: InputType,
+    value?: string | number | boolean | { multiple?: boolean }
+  ) => Handler
   setParent: (parent: FormGroup | FormArray) => void
   /**
    * Sets the value of the control. Abstract method (implemented in sub-classes).
@@ -332,9 +556,128 @@ export interface FieldConfig extends GroupProps {
   options?: AbstractControlOptions
   strict?: boolean
   meta?: { [key: string]: any }
+  /**
+   * The key of the component in the `components` registry of the `FormGenerator`.
+   */
+  type?: string
+  /**
+   * The additional props passed to the registered component.
+   */
+  props?: { [key: string]: any }
+  /**
+   * Renders the field only if the condition is fulfilled, the hidden controls are disabled.
+   */
+  visibleWhen?: FieldCondition
+  /**
+   * Disables the control if the condition is not fulfilled.
+   */
+  enabledWhen?: FieldCondition
+}
+/**
+ * A predicate which receives the generated form or a declarative condition
+ * on the value of the control at `path`.
+ */
+export type FieldCondition =
+  | ((form: FormGroup | FormArray) => boolean)
+  | {
+      path: string
+      equals?: any
+      in?: Array<any>
+      notEmpty?: boolean
+    }
+/**
+ * The props received by the components registered in the `FormGenerator`.
+ */
+export type FieldComponentProps = Meta & {
+  control: AbstractControl
+  meta: { [key: string]: any }
+  [key: string]: any
+}
+export interface WizardStep {
+  /**
+   * The name of the sub `FormGroup` of the step.
+   */
+  name: string
+  options?: AbstractControlOptions
+  meta?: { [key: string]: any }
+  [key: string]: any
+}
+export interface WizardProps {
+  /**
+   * The form of the wizard.
+   */
+  form: FormGroup
+  /**
+   * The `FormGroup` of the current step.
+   */
+  control: FormGroup
+  step: WizardStep
+  stepIndex: number
+  steps: Array<WizardStep>
+  isFirst: boolean
+  isLast: boolean
+  /**
+   * The indexes of the visited steps.
+   */
+  visited: Array<number>
+  /**
+   * The indexes of the steps which have been validated successfully.
+   */
+  completed: Array<number>
+  /**
+   * True while the current step is being validated.
+   */
+  pending: boolean
+  /**
+   * Marks the fields of the current step as touched & advances if the step is valid.
+   */
+  next(): Promise<boolean>
+  previous(): void
+  goTo(step: number | string): Promise<boolean>
+}
+export interface FormWizardProps {
+  steps: Array<WizardStep>
+  initialStep?: number | string
+  onStepChange?: (stepIndex: number, step: WizardStep) => void
+  onComplete?: (value: { [key: string]: any }, form: FormGroup) => void
+  render?: (
+    wizard: WizardProps
+  ) => React.ReactElement<any> | React.ReactElement<any>[]
+  children?: (
+    wizard: WizardProps
+  ) => React.ReactElement<any> | React.ReactElement<any>[]
+  name?: string
+  control?: FormGroup
+  parent?: FormArray | FormGroup
+  options?: AbstractControlOptions
+  meta?: { [key: string]: any }
+}
+/**
+ * The field config of a wizard, each step is a `FormGroup` config with a `name`.
+ */
+export interface WizardFieldConfig {
+  steps: Array<WizardStep & { controls: { [key: string]: any } }>
+  initialStep?: number | string
+  onStepChange?: (stepIndex: number, step: WizardStep) => void
+  onComplete?: (value: { [key: string]: any }, form: FormGroup) => void
+  /**
+   * Renders the wizard, the fields of the current step are passed as `children`.
+   */
+  render?: (
+    wizard: WizardProps & { children: React.ReactNode }
+  ) => React.ReactNode
+  name?: string
+  control?: FormGroup
+  parent?: FormArray | FormGroup
+  options?: AbstractControlOptions
+  meta?: { [key: string]: any }
 }
 export interface FormGeneratorProps {
-  fieldConfig: FieldConfig
+  fieldConfig: FieldConfig | WizardFieldConfig
+  /**
+   * The registry of the components which are rendered for the `type` of the field config.
+   */
+  components?: { [type: string]: React.ComponentType<FieldComponentProps> }
   onMount?: (form: FormArray | FormGroup) => void
   onUnmount?: () => void
   onValueChanges?: (value: { [key: string]: any } | Array<any>) => void
@@ -345,6 +688,183 @@ export class FieldGroup extends React.Component<GroupProps, any> {}
 export class FieldArray extends React.Component<GroupProps, any> {}
 export class FieldControl extends React.Component<GroupProps, any> {}
 export class FormGenerator extends React.Component<FormGeneratorProps, any> {}
+export class FormWizard extends React.Component<FormWizardProps, any> {}
+export interface FormProviderProps {
+  control: FormGroup | FormArray
+  children?: React.ReactNode
+}
+/**
+ * Publishes the nearest parent control to the nested field components.
+ */
+export const FormContext: React.Context<FormGroup | FormArray | null>
+export class FormProvider extends React.Component<FormProviderProps, any> {}
+export interface HookOptions {
+  parent?: FormGroup | FormArray
+  options?: AbstractControlOptions
+  formState?: any
+  index?: number
+  meta?: { [key: string]: any }
+}
+/**
+ * Returns an instance of `FormControl` and re-renders the component
+ * whenever the control's state changes.
+ */
+export function useFormControl(
+  nameOrControl?: string | FormControl,
+  options?: HookOptions
+): FormControl
+/**
+ * Returns an instance of `FormGroup` and re-renders the component
+ * whenever the group's state changes.
+ */
+export function useFormGroup(
+  nameOrControl?: string | FormGroup,
+  options?: HookOptions
+): FormGroup
+/**
+ * Returns an instance of `FormArray` and re-renders the component
+ * whenever the array's state changes.
+ */
+export function useFormArray(
+  nameOrControl?: string | FormArray,
+  options?: HookOptions
+): FormArray
+/**
+ * Subscribes the component to the state changes of a control and returns
+ * the selected slice of the control's state.
+ */
+export function useControlState<T = AbstractControl>(
+  control: AbstractControl,
+  selector?: (control: AbstractControl) => T
+): T
+/**
+ * Registers the custom validators which can be referenced by name in the validator descriptors.
+ * The custom validators have precedence over the built-in validators with the same name.
+ */
+export function registerValidators(validators: {
+  [name: string]: Function
+}): void
+export type ErrorMessage =
+  | string
+  | ((error: any, control: AbstractControl) => string)
+export interface ErrorMessages {
+  [errorCode: string]: ErrorMessage
+}
+/**
+ * Registers the messages of the errors for a locale, the messages are merged
+ * with the already registered messages of the locale.
+ * The messages of the `default` locale are used when the active locale doesn't define a message.
+ */
+export function setErrorMessages(messages: ErrorMessages, locale?: string): void
+/**
+ * Sets the locale of the messages returned by `errorMessages` & `firstErrorMessage`.
+ */
+export function setErrorMessagesLocale(locale: string): void
+/**
+ * Returns the active locale of the error messages.
+ */
+export function getErrorMessagesLocale(): string
+export interface HistoryOptions {
+  /**
+   * The max number of the snapshots which can be undone, default is `100`.
+   */
+  limit?: number
+  /**
+   * The time in ms to coalesce the rapid changes into a single snapshot, default is `300`.
+   */
+  debounce?: number
+  /**
+   * Creates the items which are restored to the arrays, the default creates the controls
+   * from the values without validators.
+   */
+  createControl?: (value: any, path: string) => AbstractControl
+}
+export interface FormHistory {
+  readonly canUndo: boolean
+  readonly canRedo: boolean
+  /**
+   * Emits whenever a snapshot is recorded or restored.
+   */
+  historyChanges: Observable<void>
+  undo(): void
+  redo(): void
+  clear(): void
+  /**
+   * Stops tracking the changes of the control.
+   */
+  destroy(): void
+}
+/**
+ * Tracks the changes of the value of a control to undo & redo them.
+ */
+export function trackHistory(
+  control: AbstractControl,
+  options?: HistoryOptions
+): FormHistory
+/**
+ * The interface of the storages, the methods can return a promise e.g `AsyncStorage`.
+ */
+export interface FormStorage {
+  getItem(key: string): string | null | Promise<string | null>
+  setItem(key: string, value: string): void | Promise<void>
+  removeItem(key: string): void | Promise<void>
+}
+export interface PersistOptions {
+  /**
+   * The key of the draft in the storage.
+   */
+  key: string
+  /**
+   * Default value is `localStorage` if it's available.
+   */
+  storage?: FormStorage
+  /**
+   * The time in ms to wait before saving the changes, default is `500`.
+   */
+  debounce?: number
+  /**
+   * The paths of the saved controls, `*` matches any item of an array e.g `cards.*.number`.
+   */
+  include?: Array<string>
+  /**
+   * The paths of the controls which are not saved e.g `password`.
+   */
+  exclude?: Array<string>
+  /**
+   * Saves the touched & dirty flags of the controls.
+   */
+  saveFlags?: boolean
+  /**
+   * Creates the missing items of the arrays, by default the controls are created from the saved value.
+   */
+  createControl?: (value: any, path: string) => AbstractControl
+}
+export interface PersistedForm {
+  /**
+   * Resolves true if a draft has been restored.
+   */
+  restored: Promise<boolean>
+  save(): Promise<void>
+  /**
+   * Removes the draft from the storage.
+   */
+  clear(): Promise<void>
+  /**
+   * Stops saving the changes of the form.
+   */
+  destroy(): void
+}
+/**
+ * Saves the draft of a form to a storage & restores it.
+ */
+export function persistForm(
+  control: AbstractControl,
+  options: PersistOptions
+): PersistedForm
+/**
+ * Creates an in-memory storage with the same interface as `localStorage`.
+ */
+export function createMemoryStorage(): FormStorage
 /**
  * Creates an `AbstractControl` from a user-specified configuration.
  *
@@ -371,8 +891,17 @@ export class FormBuilder {
    */
   static control(
     formState: Object,
-    validators?: ValidatorFn | ValidatorFn[] | null,
-    asyncValidators?: AsyncValidatorFn | AsyncValidatorFn[] | null,
+    validators?:
+      | ValidatorFn
+      | ValidatorDescriptor
+      | Array<ValidatorFn | ValidatorDescriptor>
+      | AbstractControlOptions
+      | null,
+    asyncValidators?:
+      | AsyncValidatorFn
+      | ValidatorDescriptor
+      | Array<AsyncValidatorFn | ValidatorDescriptor>
+      | null,
     updateOn?: FormHooks
   ): FormControl
   /**
@@ -384,6 +913,12 @@ export class FormBuilder {
     controlsConfig: any[],
     extra?: AbstractControlOptions | null
   ): FormArray
+  /**
+   * Construct a tree of controls from a JSON Schema, an `object` schema creates a `FormGroup`,
+   * an `array` schema creates a `FormArray` and the other schemas create a `FormControl`.
+   * The keywords are mapped to the validators and the `default` keywords are used for the missing initial values.
+   */
+  static fromJsonSchema(schema: Object, initialValue?: any): AbstractControl
 }
 /**
  * Tracks the value and validity state of an array of `FormControl`,
@@ -582,7 +1117,25 @@ export class FormArray extends AbstractControl {
    * <form onSubmit={this.form.handleSubmit}/>
    * ```
    */
-  handleSubmit(): void
+  handleSubmit(event?: any): Promise<boolean>
+  /**
+   * Returns a submit event handler which waits for the pending async validations and
+   * calls `onValid` with the value if the control is valid, otherwise calls `onInvalid`.
+   *
+   * `onValid` can return (or resolve with) a map of errors keyed by the control paths,
+   * which are set on the matching controls.
+   *
+   * The returned promise never rejects, the errors thrown (or rejected) by `onValid`
+   * & `onInvalid` are passed to `onError`.
+   * ```
+   * <form onSubmit={this.form.handleSubmit(value => api.save(value))}/>
+   * ```
+   */
+  handleSubmit(
+    onValid: SubmitHandler,
+    onInvalid?: (control: AbstractControl) => any,
+    onError?: (error: any, control: AbstractControl) => any
+  ): (event?: any) => Promise<boolean>
 }
 /**
  * Tracks the value and validity state of a group of `FormControl`
@@ -783,7 +1336,25 @@ export class FormGroup extends AbstractControl {
    * <form onSubmit={this.form.handleSubmit}/>
    * ```
    */
-  handleSubmit(): void
+  handleSubmit(event?: any): Promise<boolean>
+  /**
+   * Returns a submit event handler which waits for the pending async validations and
+   * calls `onValid` with the value if the control is valid, otherwise calls `onInvalid`.
+   *
+   * `onValid` can return (or resolve with) a map of errors keyed by the control paths,
+   * which are set on the matching controls.
+   *
+   * The returned promise never rejects, the errors thrown (or rejected) by `onValid`
+   * & `onInvalid` are passed to `onError`.
+   * ```
+   * <form onSubmit={this.form.handleSubmit(value => api.save(value))}/>
+   * ```
+   */
+  handleSubmit(
+    onValid: SubmitHandler,
+    onInvalid?: (control: AbstractControl) => any,
+    onError?: (error: any, control: AbstractControl) => any
+  ): (event?: any) => Promise<boolean>
 }
 /**
  * Tracks the value and validation status of an individual form control.
@@ -877,7 +1448,26 @@ export class FormControl extends AbstractControl {
   /**
    * Binds an input element to control.
    */
-  handler: (inputType?: InputType, value?: string) => Handler
+  handler: (
+    inputType?: InputType,
+    value?: string | number | boolean | { multiple?: boolean }
+  ) => Handler
+  /**
+   * Converts the value of the input element into the value of the control.
+   */
+  parse: TransformerFn | null
+  /**
+   * Converts the value of the control into the value displayed by the input element.
+   */
+  format: TransformerFn | null
+  /**
+   * The pattern of the displayed value, the value of the control is unmasked.
+   */
+  mask: string | ((value: string) => string) | null
+  /**
+   * Function needs to be called whenever the selection of a React Native `TextInput` changes.
+   */
+  onSelectionChange: (e: any) => void
   /**
    * Set the value of the form control to `value`.
    *
@@ -944,6 +1534,30 @@ export class FormControl extends AbstractControl {
    */
   inactive: boolean
 }
+export class Transformers {
+  /**
+   * Converts a string into a number, the empty values are converted into `null`.
+   */
+  static toNumber(value: any): number | null | any
+  /**
+   * Removes the whitespaces from both ends of a string.
+   */
+  static trim(value: any): any
+  /**
+   * Converts a string or a timestamp into a `Date`, the empty values are converted into `null`.
+   */
+  static toDate(value: any): Date | null | any
+  /**
+   * Converts an empty string into `null`.
+   */
+  static emptyToNull(value: any): any
+  /**
+   * Compose multiple transformers into a single function which applies them from left to right.
+   */
+  static compose(
+    transformers: Array<TransformerFn | null | undefined> | null
+  ): TransformerFn | null
+}
 export class Validators {
   /**
    * Validator that requires controls to have a non-empty value.
@@ -977,4 +1591,143 @@ export class Validators {
    * Validator that requires a control to match a regex to its value.
    */
   static pattern(pattern: string | RegExp): ValidatorFn
+  /**
+   * Validator that performs url validation.
+   */
+  static url(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that requires controls to have an integer value.
+   */
+  static integer(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that requires controls to have a numeric value.
+   */
+  static number(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that requires controls to have a value between two numbers (inclusive).
+   */
+  static between(min: number, max: number): ValidatorFn
+  /**
+   * Validator that requires controls to have a value which is a multiple of the step,
+   * starting from the base value.
+   */
+  static step(step: number, base?: number): ValidatorFn
+  /**
+   * Validator that requires controls to have a valid date as value.
+   */
+  static date(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that requires controls to have a date on or after the given date.
+   */
+  static minDate(minDate: Date | string | number): ValidatorFn
+  /**
+   * Validator that requires controls to have a date on or before the given date.
+   */
+  static maxDate(maxDate: Date | string | number): ValidatorFn
+  /**
+   * Validator that requires controls to have one of the allowed values.
+   */
+  static oneOf(allowedValues: any[]): ValidatorFn
+  /**
+   * Validator that requires controls to not have any of the forbidden values.
+   */
+  static notOneOf(forbiddenValues: any[]): ValidatorFn
+  /**
+   * Validator that performs uuid validation.
+   */
+  static uuid(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that performs credit card number validation using the Luhn algorithm.
+   */
+  static creditCard(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that performs IBAN validation.
+   */
+  static iban(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that requires controls to have a phone number in the E.164 format.
+   */
+  static phone(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that requires controls to have a valid JSON string as value.
+   */
+  static json(control: AbstractControl): ValidationErrors | null
+  /**
+   * Validator that requires the selected files to not exceed the maximum size in bytes.
+   */
+  static fileSize(maxSize: number): ValidatorFn
+  /**
+   * Validator that requires the selected files to be of one of the accepted types
+   * e.g `['image/*', '.pdf']`.
+   */
+  static fileType(allowedTypes: string | string[]): ValidatorFn
+  /**
+   * Validator that requires controls to have an array value with a minimum number of items.
+   */
+  static minItems(minItems: number): ValidatorFn
+  /**
+   * Validator that requires controls to have an array value with a maximum number of items.
+   */
+  static maxItems(maxItems: number): ValidatorFn
+  /**
+   * Validator that requires controls to have an array value without duplicate items.
+   */
+  static uniqueItems(control: AbstractControl): ValidationErrors | null
+  /**
+   * Creates a validator which depends on the controls at the given paths,
+   * the paths are resolved from the root control.
+   *
+   * The validator is re-run whenever the value of a dependency changes and the
+   * errors are set on the control which uses the validator.
+   */
+  static dependsOn(
+    paths: string | string[],
+    fn: (
+      control: AbstractControl,
+      ...dependencies: Array<AbstractControl | null>
+    ) => ValidationErrors | null
+  ): ValidatorFn
+  /**
+   * Validator that requires the control's value to match the value of the control at the given path.
+   */
+  static matches(path: string): ValidatorFn
+  /**
+   * Validator that requires controls to have a non-empty value if the control at the
+   * given path has the given value (or a truthy value if no value is given).
+   */
+  static requiredIf(path: string, value?: any): ValidatorFn
+  /**
+   * Validator that requires controls to have a non-empty value if the predicate returns `true`.
+   * The predicate is re-evaluated whenever the value of a dependency changes.
+   */
+  static requiredIf(
+    predicate: (control: AbstractControl) => boolean,
+    dependsOn: string | string[]
+  ): ValidatorFn
+  /**
+   * Runs the validators only if the control at the given path has a truthy value.
+   * The condition is re-evaluated whenever the value of the control changes.
+   */
+  static when(
+    path: string,
+    validators: ValidatorFn | ValidatorFn[]
+  ): ValidatorFn
+  /**
+   * Runs the validators only if the predicate returns `true`.
+   * The predicate is re-evaluated whenever the value of a dependency changes.
+   */
+  static when(
+    predicate: (control: AbstractControl) => boolean,
+    validators: ValidatorFn | ValidatorFn[],
+    dependsOn: string | string[]
+  ): ValidatorFn
+  /**
+   * Creates a validator which validates the control's value against the schema once and
+   * distributes the errors to the nested controls by path.
+   * The adapter defaults to the built-in JSON Schema adapter.
+   */
+  static fromSchema<S = any>(
+    schema: S,
+    adapter?: 'jsonSchema' | 'yup' | 'zod' | SchemaAdapter<S>
+  ): ValidatorFn
 }
@@ -12,30 +12,27 @@ export default class Field extends React.Component {
   componentDidUpdate(prevProps) {
     const { control } = this.props
     if (control !== prevProps.control) {
-      this.removeListener(control)
+      this.removeListener()
       this.addListener(control)
     }
   }
   addListener(control) {
     if (control) {
-      control.stateChanges.subscribe(() => {
+      this.subscription = control.stateChanges.subscribe(() => {
         this.forceUpdate()
       })
     }
   }
-  removeListener(control) {
-    if (control) {
-      if (control.stateChanges.observers) {
-        control.stateChanges.observers.forEach(observer => {
-          control.stateChanges.unsubscribe(observer)
-        })
-      }
+  removeListener() {
+    // Only remove the listener added by this component
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
     }
   }
   componentWillUnmount() {
-    const { control } = this.props
     // Remove Listener
-    this.removeListener(control)
+    this.removeListener()
   }
   shouldComponentUpdate(props) {
     if (!props.strict) {
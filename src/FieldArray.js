@@ -2,17 +2,17 @@ import React from 'react'
 import PropTypes from 'prop-types'
 import { FormGroup, FormArray } from './model'
 import configureControl from './configureControl'
+import FormContext from './FormContext'
 import Field from './Field'
 
 class FieldArray extends React.Component {
   constructor(props, context) {
     super(props, context)
-    this.control = configureControl(props, context, 'FormArray')
-  }
-  getChildContext() {
-    return {
-      parentControl: this.control
-    }
+    this.control = configureControl(
+      props,
+      { parentControl: context },
+      'FormArray'
+    )
   }
   render() {
     const { strict, children, render } = this.props
@@ -21,21 +21,14 @@ class FieldArray extends React.Component {
       strict,
       render: render || children || null
     }
-    return React.createElement(Field, FieldProps)
+    return React.createElement(
+      FormContext.Provider,
+      { value: this.control },
+      React.createElement(Field, FieldProps)
+    )
   }
 }
-FieldArray.childContextTypes = {
-  parentControl: PropTypes.oneOfType([
-    PropTypes.instanceOf(FormArray),
-    PropTypes.instanceOf(FormGroup)
-  ])
-}
-FieldArray.contextTypes = {
-  parentControl: PropTypes.oneOfType([
-    PropTypes.instanceOf(FormArray),
-    PropTypes.instanceOf(FormGroup)
-  ])
-}
+FieldArray.contextType = FormContext
 FieldArray.defaultProps = {
   strict: true
 }
@@ -49,13 +42,19 @@ FieldArray.propTypes = {
   options: PropTypes.shape({
     validators: PropTypes.oneOfType([
       PropTypes.func,
-      PropTypes.arrayOf(PropTypes.func)
+      PropTypes.string,
+      PropTypes.array
     ]),
     asyncValidators: PropTypes.oneOfType([
       PropTypes.func,
-      PropTypes.arrayOf(PropTypes.func)
+      PropTypes.string,
+      PropTypes.array
     ]),
-    updateOn: PropTypes.oneOf(['change', 'blur', 'submit'])
+    updateOn: PropTypes.oneOf(['change', 'blur', 'submit']),
+    asyncValidatorDebounce: PropTypes.number,
+    onAsyncValidatorError: PropTypes.func,
+    accessibility: PropTypes.bool,
+    idPrefix: PropTypes.string
   }),
   parent: PropTypes.oneOfType([
     PropTypes.instanceOf(FormArray),
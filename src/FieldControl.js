@@ -3,14 +3,24 @@ import PropTypes from 'prop-types'
 import { FormControl, FormArray, FormGroup } from './model'
 import configureControl from './configureControl'
 import Field from './Field'
+import FormContext from './FormContext'
+
 export default class FieldControl extends React.Component {
   constructor(props, context) {
     super(props, context)
-    this.control = configureControl(props, context, 'FormControl')
+    this.control = configureControl(
+      props,
+      { parentControl: context },
+      'FormControl'
+    )
   }
   componentDidUpdate(prevProps) {
     if (this.props.name !== prevProps.name) {
-      this.control = configureControl(this.props, this.context, 'FormControl')
+      this.control = configureControl(
+        this.props,
+        { parentControl: this.context },
+        'FormControl'
+      )
     }
   }
   render() {
@@ -43,13 +53,22 @@ FieldControl.propTypes = {
   options: PropTypes.shape({
     validators: PropTypes.oneOfType([
       PropTypes.func,
-      PropTypes.arrayOf(PropTypes.func)
+      PropTypes.string,
+      PropTypes.array
     ]),
     asyncValidators: PropTypes.oneOfType([
       PropTypes.func,
-      PropTypes.arrayOf(PropTypes.func)
+      PropTypes.string,
+      PropTypes.array
     ]),
-    updateOn: PropTypes.oneOf(['change', 'blur', 'submit'])
+    updateOn: PropTypes.oneOf(['change', 'blur', 'submit']),
+    asyncValidatorDebounce: PropTypes.number,
+    onAsyncValidatorError: PropTypes.func,
+    parse: PropTypes.oneOfType([PropTypes.func, PropTypes.array]),
+    format: PropTypes.oneOfType([PropTypes.func, PropTypes.array]),
+    mask: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+    accessibility: PropTypes.bool,
+    idPrefix: PropTypes.string
   }),
   parent: PropTypes.oneOfType([
     PropTypes.instanceOf(FormArray),
@@ -57,9 +76,4 @@ FieldControl.propTypes = {
   ]),
   meta: PropTypes.object
 }
-FieldControl.contextTypes = {
-  parentControl: PropTypes.oneOfType([
-    PropTypes.instanceOf(FormArray),
-    PropTypes.instanceOf(FormGroup)
-  ])
-}
+FieldControl.contextType = FormContext
@@ -3,16 +3,16 @@ import PropTypes from 'prop-types'
 import { FormGroup, FormArray } from './model'
 import Field from './Field'
 import configureControl from './configureControl'
+import FormContext from './FormContext'
 
 class FieldGroup extends React.Component {
   constructor(props, context) {
     super(props, context)
-    this.control = configureControl(props, context, 'FormGroup')
-  }
-  getChildContext() {
-    return {
-      parentControl: this.control
-    }
+    this.control = configureControl(
+      props,
+      { parentControl: context },
+      'FormGroup'
+    )
   }
   render() {
     const { strict, children, render } = this.props
@@ -21,22 +21,15 @@ class FieldGroup extends React.Component {
       strict,
       render: render || children || null
     }
-    return React.createElement(Field, FieldProps)
+    return React.createElement(
+      FormContext.Provider,
+      { value: this.control },
+      React.createElement(Field, FieldProps)
+    )
   }
 }
 
-FieldGroup.childContextTypes = {
-  parentControl: PropTypes.oneOfType([
-    PropTypes.instanceOf(FormArray),
-    PropTypes.instanceOf(FormGroup)
-  ])
-}
-FieldGroup.contextTypes = {
-  parentControl: PropTypes.oneOfType([
-    PropTypes.instanceOf(FormArray),
-    PropTypes.instanceOf(FormGroup)
-  ])
-}
+FieldGroup.contextType = FormContext
 
 FieldGroup.defaultProps = {
   strict: true
@@ -51,13 +44,19 @@ FieldGroup.propTypes = {
   options: PropTypes.shape({
     validators: PropTypes.oneOfType([
       PropTypes.func,
-      PropTypes.arrayOf(PropTypes.func)
+      PropTypes.string,
+      PropTypes.array
     ]),
     asyncValidators: PropTypes.oneOfType([
       PropTypes.func,
-      PropTypes.arrayOf(PropTypes.func)
+      PropTypes.string,
+      PropTypes.array
     ]),
-    updateOn: PropTypes.oneOf(['change', 'blur', 'submit'])
+    updateOn: PropTypes.oneOf(['change', 'blur', 'submit']),
+    asyncValidatorDebounce: PropTypes.number,
+    onAsyncValidatorError: PropTypes.func,
+    accessibility: PropTypes.bool,
+    idPrefix: PropTypes.string
   }),
   parent: PropTypes.oneOfType([
     PropTypes.instanceOf(FormArray),
@@ -0,0 +1,9 @@
+import React from 'react'
+
+/**
+ * Publishes the nearest parent control (an instance of FormGroup or FormArray)
+ * to the nested field components.
+ */
+const FormContext = React.createContext(null)
+
+export default FormContext
@@ -5,84 +5,555 @@ import FieldArray from './FieldArray'
 import FieldGroup from './FieldGroup'
 import Field from './Field'
 import { FormGroup, FormArray } from './model'
-import { warning, mapConfigToFieldProps, generateKey } from './utils'
+import { warning, mapConfigToFieldProps, mapControlToProps } from './utils'
 import configureControl from './configureControl'
+import { evaluateCondition } from './conditions'
+import FormWizard from './FormWizard'
+import FormContext from './FormContext'
 
 const FIELD_CONFIG_STRING = '$field_'
 
+// Checks if the config injects a component instead of a control
+const isInjectedField = (config, name) =>
+  (typeof name === 'string' && name.startsWith(FIELD_CONFIG_STRING)) ||
+  (typeof config.index === 'string' &&
+    config.index.startsWith(FIELD_CONFIG_STRING))
+
+const getControlType = config => {
+  if (!config.controls) {
+    return 'FormControl'
+  }
+  return config.controls instanceof Array ? 'FormArray' : 'FormGroup'
+}
+
+const isPlainObject = value =>
+  value != null &&
+  typeof value === 'object' &&
+  !React.isValidElement(value) &&
+  (value instanceof Array || Object.getPrototypeOf(value) === Object.prototype)
+
+/**
+ * Deeply compares two field configs, the functions, controls and react elements
+ * are compared by reference.
+ * @param {any} a
+ * @param {any} b
+ * @return {Boolean}
+ */
+const isEqualConfig = (a, b) => {
+  if (a === b) {
+    return true
+  }
+  if (
+    !isPlainObject(a) ||
+    !isPlainObject(b) ||
+    a instanceof Array !== b instanceof Array
+  ) {
+    return false
+  }
+  const keys = Object.keys(a)
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(key => isEqualConfig(a[key], b[key]))
+  )
+}
+
+/**
+ * Matches the configs of the items of an array, the unchanged configs are matched
+ * first and the changed configs are matched by their position between them.
+ * @param {Object[]} prevConfigs
+ * @param {Object[]} nextConfigs
+ * @return {Number[]} The index of the matching previous config for each next config, or -1
+ */
+const matchArrayConfigs = (prevConfigs, nextConfigs) => {
+  const matches = nextConfigs.map(() => -1)
+  let lastMatch = -1
+  nextConfigs.forEach((nextConfig, index) => {
+    for (let i = lastMatch + 1; i < prevConfigs.length; i++) {
+      if (isEqualConfig(prevConfigs[i], nextConfig)) {
+        matches[index] = i
+        lastMatch = i
+        break
+      }
+    }
+  })
+  lastMatch = -1
+  nextConfigs.forEach((nextConfig, index) => {
+    if (matches[index] > -1) {
+      lastMatch = matches[index]
+      return
+    }
+    const nextMatches = matches.slice(index + 1).filter(match => match > -1)
+    const end = nextMatches.length ? nextMatches[0] : prevConfigs.length
+    for (let i = lastMatch + 1; i < end; i++) {
+      if (getControlType(prevConfigs[i]) === getControlType(nextConfig)) {
+        matches[index] = i
+        lastMatch = i
+        break
+      }
+    }
+  })
+  return matches
+}
+
+const hasCondition = config => !!(config.visibleWhen || config.enabledWhen)
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key))
+
+// Re-renders the fields of the control & its descendants
+const emitStateChanges = control => {
+  control.stateChanges.next()
+  control._forEachChild(emitStateChanges)
+}
+
+/**
+ * Collects the conditional configs with the paths of their controls, the parents
+ * are collected before their children.
+ * @param {Object} config
+ * @param {String} path
+ * @param {{path: String, config: Object}[]} conditions
+ * @return {{path: String, config: Object}[]}
+ */
+const collectConditions = (config, path = '', conditions = []) => {
+  const addControl = (childConfig, childPath) => {
+    if (hasCondition(childConfig)) {
+      conditions.push({ path: childPath, config: childConfig })
+    }
+    if (childConfig.controls) {
+      collectConditions(childConfig, childPath, conditions)
+    }
+  }
+  if (config.controls instanceof Array) {
+    config.controls
+      .filter(childConfig => !isInjectedField(childConfig))
+      .forEach((childConfig, index) =>
+        addControl(childConfig, joinPath(path, index))
+      )
+  } else if (config.controls) {
+    Object.keys(config.controls)
+      .filter(name => !isInjectedField(config.controls[name], name))
+      .forEach(name => addControl(config.controls[name], joinPath(path, name)))
+  }
+  return conditions
+}
+
 export default class FormGenerator extends React.Component {
   constructor(props) {
     super(props)
     // Intiate the form property
     this.form = null
+    // The field config of the existing form
+    this.fieldConfig = null
+    // Changes whenever a new form is created, to remount the fields
+    this.formId = 0
+    // The configs which have been changed by the last update of the field config
+    this.changedConfigs = []
+    // The keys of the fields of the array items by the controls of the array configs
+    this.itemKeys = new WeakMap()
+    this.itemKeyCount = 0
+    // The visibility of the conditional controls by path
+    this.visibility = {}
+    this.applyingConditions = false
+    this.conditionsSubscription = null
+    // The field config derived from the steps of a wizard config
+    this.stepsConfig = null
+    // The fields of the last render
+    this.fields = null
+    // The components of the last committed render
+    this.renderedComponents = null
   }
   componentDidMount() {
+    this.renderedComponents = this.props.components
+    this.subscribeConditions()
     this.props.onMount(this.form)
   }
   componentDidUpdate() {
+    if (this.hasPendingConfig()) {
+      // Update the existing form before the fields of the new config are rendered
+      this.reconcileForm(this.getFieldConfig())
+      this.forceUpdate()
+      return
+    }
+    this.renderedComponents = this.props.components
+    this.subscribeConditions()
     this.props.onMount(this.form)
   }
   shouldComponentUpdate(nextProps) {
-    // Only Re-renders for changes in field config
-    if (nextProps.fieldConfig !== this.props.fieldConfig) {
-      return true
-    }
-    return false
+    // Only Re-renders for changes in field config or components
+    return (
+      nextProps.fieldConfig !== this.props.fieldConfig ||
+      nextProps.components !== this.props.components
+    )
+  }
+  // Checks if the field config has been changed since the existing form has been configured
+  hasPendingConfig() {
+    return !!(
+      this.form &&
+      this.fieldConfig &&
+      this.getFieldConfig() !== this.fieldConfig
+    )
   }
   componentWillUnmount() {
     const { onUnmount } = this.props
+    this.unsubscribeConditions()
     onUnmount()
   }
+  /**
+   * Returns the field config of the form, the steps of a wizard config are mapped
+   * to the groups of the form.
+   * @param {Object} fieldConfig
+   * @return {Object}
+   */
+  getFieldConfig(fieldConfig = this.props.fieldConfig) {
+    if (!fieldConfig || !fieldConfig.steps) {
+      return fieldConfig
+    }
+    // Keep the identity of the derived config between the renders
+    if (!this.stepsConfig || this.stepsConfig.source !== fieldConfig) {
+      const controls = {}
+      fieldConfig.steps.forEach(step => {
+        controls[step.name] = step
+      })
+      this.stepsConfig = {
+        source: fieldConfig,
+        config: Object.assign({}, fieldConfig, { controls })
+      }
+    }
+    return this.stepsConfig.config
+  }
   // Create the form instance
   configureForm(type = 'FormGroup') {
-    const { fieldConfig } = this.props
+    const fieldConfig = this.getFieldConfig()
     this.form = configureControl(fieldConfig, {}, type)
+    this.fieldConfig = fieldConfig
+  }
+  /**
+   * Diffs the field config against the config of the existing form, so the
+   * existing controls keep their state.
+   *
+   * A new form is created only if the root control, parent or type has changed.
+   * @param {Object} fieldConfig
+   * @return {void}
+   */
+  reconcileForm(fieldConfig) {
+    const prevConfig = this.fieldConfig
+    this.fieldConfig = fieldConfig
+    if (
+      !this.form ||
+      !prevConfig ||
+      !fieldConfig ||
+      prevConfig === fieldConfig
+    ) {
+      return
+    }
+    if (
+      fieldConfig.control !== prevConfig.control ||
+      fieldConfig.parent !== prevConfig.parent ||
+      fieldConfig.name !== prevConfig.name ||
+      getControlType(fieldConfig) !== getControlType(prevConfig)
+    ) {
+      this.form = null
+      this.formId += 1
+      this.changedConfigs = []
+      return
+    }
+    this.changedConfigs = []
+    this.reconcileControl(this.form, prevConfig, fieldConfig)
+  }
+  // Updates the control and its children to match the new config.
+  reconcileControl(control, prevConfig, nextConfig) {
+    if (isEqualConfig(prevConfig, nextConfig)) {
+      return
+    }
+    this.changedConfigs.push(nextConfig)
+    const prevOptions = prevConfig.options || {}
+    const nextOptions = nextConfig.options || {}
+    let validatorsChanged = false
+    if (!isEqualConfig(prevOptions.validators, nextOptions.validators)) {
+      control.setValidators(nextOptions.validators || null)
+      validatorsChanged = true
+    }
+    if (
+      !isEqualConfig(prevOptions.asyncValidators, nextOptions.asyncValidators)
+    ) {
+      control.setAsyncValidators(nextOptions.asyncValidators || null)
+      validatorsChanged = true
+    }
+    if (nextConfig.meta) {
+      control.meta = nextConfig.meta
+    }
+    if (control instanceof FormArray) {
+      this.reconcileArray(control, prevConfig.controls, nextConfig.controls)
+    } else if (control instanceof FormGroup) {
+      this.reconcileGroup(control, prevConfig.controls, nextConfig.controls)
+    }
+    if (validatorsChanged) {
+      control.updateValueAndValidity()
+    }
+  }
+  // The removed controls are removed from the group, the added ones are created by the fields.
+  reconcileGroup(group, prevControls, nextControls) {
+    Object.keys(prevControls).forEach(name => {
+      const control = group.controls[name]
+      if (isInjectedField(prevControls[name], name) || !control) {
+        return
+      }
+      const prevConfig = prevControls[name]
+      const nextConfig = nextControls[name]
+      if (
+        !nextConfig ||
+        isInjectedField(nextConfig, name) ||
+        getControlType(nextConfig) !== getControlType(prevConfig)
+      ) {
+        group.removeControl(name)
+      } else {
+        this.reconcileControl(control, prevConfig, nextConfig)
+      }
+    })
+  }
+  /**
+   * Returns the keys of the fields of the array items, so the fields keep their
+   * controls when the items are added or removed.
+   * @param {Object[]} controls The controls of an array config
+   * @return {Number[]}
+   */
+  getItemKeys(controls) {
+    const keys = this.itemKeys.get(controls) || []
+    const length = controls.filter(config => !isInjectedField(config)).length
+    while (keys.length < length) {
+      keys.push(this.itemKeyCount++)
+    }
+    this.itemKeys.set(controls, keys)
+    return keys
+  }
+  // The unchanged controls of an array are kept, the changed ones are matched by their position.
+  reconcileArray(array, prevControls, nextControls) {
+    const prevConfigs = prevControls.filter(config => !isInjectedField(config))
+    const nextConfigs = nextControls.filter(config => !isInjectedField(config))
+    const prevKeys = this.getItemKeys(prevControls)
+    const matches = matchArrayConfigs(prevConfigs, nextConfigs)
+    this.itemKeys.set(
+      nextControls,
+      matches.map(match => (match > -1 ? prevKeys[match] : this.itemKeyCount++))
+    )
+    matches.forEach((match, index) => {
+      const control = array.at(match)
+      if (match > -1 && control) {
+        this.reconcileControl(control, prevConfigs[match], nextConfigs[index])
+      }
+    })
+    // Iterate in reverse order so that the removals don't shift the next controls
+    for (let index = prevConfigs.length - 1; index >= 0; index--) {
+      if (matches.indexOf(index) === -1 && array.at(index)) {
+        array.removeAt(index)
+      }
+    }
+  }
+  // Re-applies the conditions of the field config whenever the value of the form changes.
+  subscribeConditions() {
+    if (!this.conditionsSubscription || this.conditionsForm !== this.form) {
+      this.unsubscribeConditions()
+      this.visibility = {}
+      this.conditionsForm = this.form
+      if (this.form) {
+        this.conditionsSubscription = this.form.valueChanges.subscribe(() =>
+          this.applyConditions()
+        )
+      }
+    }
+    this.applyConditions()
+  }
+  unsubscribeConditions() {
+    if (this.conditionsSubscription) {
+      this.conditionsSubscription.unsubscribe()
+      this.conditionsSubscription = null
+    }
+  }
+  isVisible(config) {
+    return evaluateCondition(config.visibleWhen, this.form)
+  }
+  /**
+   * Disables the hidden controls & the controls which don't fulfill their `enabledWhen`
+   * condition, so they don't contribute to the value & validity of the form.
+   * @return {void}
+   */
+  applyConditions() {
+    if (!this.form || !this.fieldConfig || this.applyingConditions) {
+      return
+    }
+    this.applyingConditions = true
+    const conditions = collectConditions(this.fieldConfig)
+    // Enabling a parent enables its children too, so apply the conditions until they are stable
+    let changed = true
+    for (let i = 0; changed && i <= conditions.length; i++) {
+      changed = conditions.filter(this.applyCondition, this).length > 0
+    }
+    this.applyingConditions = false
+  }
+  // Returns true if the disabled state of the control has been changed.
+  applyCondition({ path, config }) {
+    const control = this.form.get(path)
+    if (!control) {
+      return false
+    }
+    const visible = this.isVisible(config)
+    const enabled = visible && evaluateCondition(config.enabledWhen, this.form)
+    if (this.visibility[path] !== visible) {
+      this.visibility[path] = visible
+      // Re-render the fields to show or hide them
+      emitStateChanges(control)
+    }
+    if (enabled !== control.disabled) {
+      return false
+    }
+    if (enabled) {
+      control.enable()
+    } else {
+      control.disable()
+    }
+    return true
+  }
+  // Renders nothing if the visibleWhen condition of the config or one of its parents is not fulfilled.
+  withVisibility(configs, render) {
+    if (!configs.length || !render) {
+      return render
+    }
+    return (...args) =>
+      configs.every(config => this.isVisible(config)) ? render(...args) : null
+  }
+  // Checks if the components have been changed since the last render
+  hasChangedComponents() {
+    return (
+      this.renderedComponents !== null &&
+      this.renderedComponents !== this.props.components
+    )
+  }
+  // Creates the render function for the component registered with the type of the config.
+  getComponentRender(configProps) {
+    const { components } = this.props
+    const Component = components[configProps.type]
+    warning(
+      Component,
+      `Missing component for the type: ${
+        configProps.type
+      }. Please make sure that it's defined in the components prop.`
+    )
+    return control => {
+      if (!Component) {
+        return null
+      }
+      const controlProps = control
+        ? Object.assign(mapControlToProps(control), {
+            handler: control.handler,
+            meta: control.meta,
+            control
+          })
+        : {}
+      return React.createElement(
+        Component,
+        Object.assign(controlProps, configProps.props)
+      )
+    }
   }
   // Creates the control from fieldConfig.
-  setControl(configProps, key, name = null) {
+  setControl(configProps, key, name = null, index, parentConditions = []) {
     // Map the props to be passed in Field
     const propsToBePassed = mapConfigToFieldProps(configProps)
+    // Insert the control at its position in case it's re-created
+    if (index !== undefined && propsToBePassed.index === undefined) {
+      propsToBePassed.index = index
+    }
+    // The fields of the changed configs have to re-render to reflect the changes
+    if (
+      propsToBePassed.strict === undefined &&
+      this.changedConfigs.indexOf(configProps) > -1
+    ) {
+      propsToBePassed.strict = false
+    }
+    // The containers & the fields rendered by type have to re-render with the new components
+    if (
+      propsToBePassed.strict === undefined &&
+      (configProps.type || configProps.controls) &&
+      this.hasChangedComponents()
+    ) {
+      propsToBePassed.strict = false
+    }
+    // The render function has precedence over the registered component
+    if (!propsToBePassed.render && configProps.type) {
+      propsToBePassed.render = this.getComponentRender(configProps)
+    }
+    // The configs whose visibleWhen conditions have to be fulfilled to render the field
+    const conditions = configProps.visibleWhen
+      ? parentConditions.concat(configProps)
+      : parentConditions
     // Set the key
     propsToBePassed.key = key
     if (name) {
       propsToBePassed.name = name
     }
     // Set the component for $field_
-    if (
-      (name && name.startsWith(FIELD_CONFIG_STRING)) ||
-      (typeof configProps.index === 'string' &&
-        configProps.index.startsWith(FIELD_CONFIG_STRING))
-    ) {
-      // Only subscribe when isStatic is false
-      if (configProps.isStatic === false) {
+    if (isInjectedField(configProps, name)) {
+      propsToBePassed.render = this.withVisibility(
+        conditions,
+        propsToBePassed.render
+      )
+      // Only subscribe when isStatic is false or the visibility depends on the form
+      if (configProps.isStatic === false || conditions.length) {
         return React.createElement(
           Field,
           Object.assign({}, { control: this.form }, propsToBePassed)
         )
       }
-      return propsToBePassed.render()
+      // Wrap the component to keep its identity between the updates
+      return React.createElement(
+        React.Fragment,
+        { key },
+        propsToBePassed.render()
+      )
     }
 
     if (configProps.controls) {
       if (configProps.controls instanceof Array) {
         // If controls is an array then configure FormArray
-        if (!this.form) {
-          this.configureForm('FormArray')
+        if (configProps === this.props.fieldConfig) {
+          if (!this.form) {
+            this.configureForm('FormArray')
+          }
           propsToBePassed.control = this.form
         }
         return React.createElement(
           FieldArray,
           Object.assign({}, propsToBePassed, {
-            render: () =>
-              configProps.controls.map((config, index) =>
-                this.setControl(config, `${key}_${index}`)
+            render: () => {
+              let controlIndex = 0
+              const itemKeys = this.getItemKeys(configProps.controls)
+              // Key the controls by their item keys to keep the React identity
+              return configProps.controls.map(
+                config =>
+                  isInjectedField(config)
+                    ? this.setControl(
+                        config,
+                        `${key}_${config.index}`,
+                        null,
+                        undefined,
+                        conditions
+                      )
+                    : this.setControl(
+                        config,
+                        `${key}_${itemKeys[controlIndex]}`,
+                        null,
+                        controlIndex++,
+                        conditions
+                      )
               )
+            }
           })
         )
       } else if (configProps.controls instanceof Object) {
         // If controls is an object then configure FormGroup
-        if (!this.form) {
-          this.configureForm()
+        if (configProps === this.props.fieldConfig) {
+          if (!this.form) {
+            this.configureForm()
+          }
           propsToBePassed.control = this.form
         }
         return React.createElement(
@@ -90,7 +561,13 @@ export default class FormGenerator extends React.Component {
           Object.assign({}, propsToBePassed, {
             render: () =>
               Object.keys(configProps.controls).map(key =>
-                this.setControl(configProps.controls[key], key, key)
+                this.setControl(
+                  configProps.controls[key],
+                  key,
+                  key,
+                  undefined,
+                  conditions
+                )
               )
           })
         )
@@ -99,15 +576,45 @@ export default class FormGenerator extends React.Component {
         return null
       }
     } else {
+      propsToBePassed.render = this.withVisibility(
+        conditions,
+        propsToBePassed.render
+      )
       return React.createElement(FieldControl, propsToBePassed)
     }
   }
+  // Renders the fields of the current step of a wizard config.
+  renderStep(wizard) {
+    const { render } = this.props.fieldConfig
+    const stepConfig = this.getFieldConfig().controls[wizard.step.name]
+    const fields = React.createElement(
+      FormContext.Provider,
+      { value: this.form },
+      this.setControl(stepConfig, wizard.step.name, wizard.step.name)
+    )
+    if (render) {
+      return render(Object.assign({}, wizard, { children: fields }))
+    }
+    return fields
+  }
   generateFields() {
-    // Reset the form instance
-    this.form = null
     const { fieldConfig } = this.props
+    if (fieldConfig.steps) {
+      if (!this.form) {
+        this.configureForm()
+      }
+      return React.createElement(FormWizard, {
+        key: `my_form_${this.formId}`,
+        control: this.form,
+        steps: fieldConfig.steps,
+        initialStep: fieldConfig.initialStep,
+        onStepChange: fieldConfig.onStepChange,
+        onComplete: fieldConfig.onComplete,
+        render: wizard => this.renderStep(wizard)
+      })
+    }
     if (fieldConfig.controls) {
-      const fields = this.setControl(fieldConfig, generateKey('my_form'))
+      const fields = this.setControl(fieldConfig, `my_form_${this.formId}`)
       return fields
     } else {
       // Throw error
@@ -118,16 +625,39 @@ export default class FormGenerator extends React.Component {
   render() {
     const { fieldConfig } = this.props
     if (fieldConfig) {
-      return this.generateFields()
+      // Keep the fields of the existing form until it has been reconciled with the new config
+      if (this.hasPendingConfig()) {
+        return this.fields
+      }
+      this.fields = this.generateFields()
+      return this.fields
     }
     return null
   }
 }
 
+const conditionPropType = PropTypes.oneOfType([
+  PropTypes.func,
+  PropTypes.shape({
+    path: PropTypes.string.isRequired,
+    equals: PropTypes.any,
+    in: PropTypes.array,
+    notEmpty: PropTypes.bool
+  })
+])
+
 FormGenerator.propTypes = {
   fieldConfig: PropTypes.shape({
-    controls: PropTypes.oneOfType([PropTypes.object, PropTypes.array])
-      .isRequired,
+    controls: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+    steps: PropTypes.arrayOf(
+      PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        controls: PropTypes.object.isRequired
+      })
+    ),
+    initialStep: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    onStepChange: PropTypes.func,
+    onComplete: PropTypes.func,
     strict: PropTypes.bool,
     render: PropTypes.func,
     name: PropTypes.string,
@@ -139,24 +669,41 @@ FormGenerator.propTypes = {
     options: PropTypes.shape({
       validators: PropTypes.oneOfType([
         PropTypes.func,
-        PropTypes.arrayOf(PropTypes.func)
+        PropTypes.string,
+        PropTypes.array
       ]),
       asyncValidators: PropTypes.oneOfType([
         PropTypes.func,
-        PropTypes.arrayOf(PropTypes.func)
+        PropTypes.string,
+        PropTypes.array
       ]),
-      updateOn: PropTypes.oneOf(['change', 'blur', 'submit'])
+      updateOn: PropTypes.oneOf(['change', 'blur', 'submit']),
+      asyncValidatorDebounce: PropTypes.number,
+      onAsyncValidatorError: PropTypes.func,
+      parse: PropTypes.oneOfType([PropTypes.func, PropTypes.array]),
+      format: PropTypes.oneOfType([PropTypes.func, PropTypes.array]),
+      mask: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+      accessibility: PropTypes.bool,
+      idPrefix: PropTypes.string
     }),
     parent: PropTypes.oneOfType([
       PropTypes.instanceOf(FormArray),
       PropTypes.instanceOf(FormGroup)
     ]),
-    meta: PropTypes.object
+    meta: PropTypes.object,
+    type: PropTypes.string,
+    props: PropTypes.object,
+    visibleWhen: conditionPropType,
+    enabledWhen: conditionPropType
   }).isRequired,
+  components: PropTypes.objectOf(
+    PropTypes.oneOfType([PropTypes.func, PropTypes.object])
+  ),
   onMount: PropTypes.func,
   onUnmount: PropTypes.func
 }
 FormGenerator.defaultProps = {
+  components: {},
   onMount: () => null,
   onUnmount: () => null
 }
@@ -0,0 +1,23 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { FormGroup, FormArray } from './model'
+import FormContext from './FormContext'
+
+export default class FormProvider extends React.Component {
+  render() {
+    const { control, children } = this.props
+    return React.createElement(
+      FormContext.Provider,
+      { value: control },
+      children
+    )
+  }
+}
+
+FormProvider.propTypes = {
+  control: PropTypes.oneOfType([
+    PropTypes.instanceOf(FormArray),
+    PropTypes.instanceOf(FormGroup)
+  ]).isRequired,
+  children: PropTypes.node
+}
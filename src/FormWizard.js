@@ -0,0 +1,273 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {
+  FormGroup,
+  FormArray,
+  DISABLED,
+  VALID,
+  waitForPendingValidation
+} from './model'
+import Field from './Field'
+import configureControl from './configureControl'
+import FormContext from './FormContext'
+import { warning } from './utils'
+
+// Marks the control & all of its descendants as touched
+const markAllAsTouched = control => {
+  control.markAsTouched({ onlySelf: true, emitEvent: true })
+  control._forEachChild(markAllAsTouched)
+}
+
+const addIndex = (indexes, index) =>
+  indexes.indexOf(index) > -1
+    ? indexes
+    : indexes.concat(index).sort((a, b) => a - b)
+
+const removeIndex = (indexes, index) => indexes.filter(i => i !== index)
+
+/**
+ * Renders a multi-step form.
+ *
+ * Each step is mapped to a sub `FormGroup` of the form ( named by the step ), which is
+ * passed to the fields of the step through the context.
+ * The wizard advances only if the current step is valid.
+ */
+export default class FormWizard extends React.Component {
+  constructor(props, context) {
+    super(props, context)
+    this.control = configureControl(
+      props,
+      { parentControl: context },
+      'FormGroup'
+    )
+    this.addSteps(props.steps)
+    const stepIndex = this.getIndex(props.initialStep)
+    this.state = {
+      stepIndex,
+      visited: [stepIndex],
+      completed: [],
+      pending: false
+    }
+    this.next = this.next.bind(this)
+    this.previous = this.previous.bind(this)
+    this.goTo = this.goTo.bind(this)
+  }
+  componentDidMount() {
+    this.mounted = true
+  }
+  componentDidUpdate(prevProps) {
+    if (this.props.steps !== prevProps.steps) {
+      this.addSteps(this.props.steps)
+    }
+  }
+  componentWillUnmount() {
+    this.mounted = false
+  }
+  // Creates the groups of the steps which are not present in the form
+  addSteps(steps) {
+    if (!this.control) {
+      return
+    }
+    steps.forEach(step => {
+      if (!this.control.controls[step.name]) {
+        const group = new FormGroup({}, step.options)
+        if (step.meta) {
+          group.meta = step.meta
+        }
+        this.control.addControl(step.name, group)
+      }
+    })
+  }
+  /**
+   * Returns the index of a step.
+   * @param {Number|String} step The index or the name of the step
+   * @return {Number}
+   */
+  getIndex(step) {
+    const { steps } = this.props
+    const index =
+      typeof step === 'string'
+        ? steps.map(({ name }) => name).indexOf(step)
+        : step
+    warning(
+      index >= 0 && index < steps.length,
+      `Unknown step: ${step}. Please make sure that it's defined in the steps prop.`
+    )
+    return Math.min(Math.max(index, 0), steps.length - 1)
+  }
+  getStepControl(index) {
+    return this.control.get(this.props.steps[index].name)
+  }
+  setStep(stepIndex) {
+    const { steps, onStepChange } = this.props
+    if (!this.mounted || stepIndex === this.state.stepIndex) {
+      return
+    }
+    this.setState(({ visited }) => ({
+      stepIndex,
+      visited: addIndex(visited, stepIndex)
+    }))
+    if (onStepChange) {
+      onStepChange(stepIndex, steps[stepIndex])
+    }
+  }
+  /**
+   * Marks the fields of the current step as touched & waits for the pending validations.
+   * @return {Promise<Boolean>} Resolves true if the step is valid
+   */
+  validateStep() {
+    const { stepIndex } = this.state
+    const stepControl = this.getStepControl(stepIndex)
+    markAllAsTouched(stepControl)
+    this.setState({ pending: true })
+    return waitForPendingValidation(stepControl).then(status => {
+      const valid = status === VALID || status === DISABLED
+      if (this.mounted) {
+        this.setState(({ completed }) => ({
+          pending: false,
+          completed: valid
+            ? addIndex(completed, stepIndex)
+            : removeIndex(completed, stepIndex)
+        }))
+      }
+      return valid
+    })
+  }
+  /**
+   * Advances to the next step if the current step is valid, `onComplete` is
+   * called with the value of the form if the current step is the last one.
+   * @return {Promise<Boolean>} Resolves true if the current step is valid
+   */
+  next() {
+    const { steps, onComplete } = this.props
+    const { stepIndex } = this.state
+    return this.validateStep().then(valid => {
+      if (valid) {
+        if (stepIndex < steps.length - 1) {
+          this.setStep(stepIndex + 1)
+        } else if (onComplete) {
+          onComplete(this.control.value, this.control)
+        }
+      }
+      return valid
+    })
+  }
+  /**
+   * Goes back to the previous step without validating the current step.
+   * @return {void}
+   */
+  previous() {
+    const { stepIndex } = this.state
+    if (stepIndex > 0) {
+      this.setStep(stepIndex - 1)
+    }
+  }
+  /**
+   * Goes to a step.
+   *
+   * The previous steps can always be visited. Going forward requires the current step
+   * to be valid and the steps in between to be completed, otherwise the wizard
+   * goes to the first step which is not completed.
+   * @param {Number|String} step The index or the name of the step
+   * @return {Promise<Boolean>} Resolves true if the wizard has navigated to the step
+   */
+  goTo(step) {
+    const index = this.getIndex(step)
+    const { stepIndex } = this.state
+    if (index <= stepIndex) {
+      this.setStep(index)
+      return Promise.resolve(true)
+    }
+    return this.validateStep().then(valid => {
+      if (!valid) {
+        return false
+      }
+      const { completed } = this.state
+      let target = stepIndex + 1
+      while (target < index && completed.indexOf(target) > -1) {
+        target++
+      }
+      this.setStep(target)
+      return target === index
+    })
+  }
+  getWizard() {
+    const { steps } = this.props
+    const { stepIndex, visited, completed, pending } = this.state
+    return {
+      form: this.control,
+      control: this.getStepControl(stepIndex),
+      step: steps[stepIndex],
+      stepIndex,
+      steps,
+      isFirst: stepIndex === 0,
+      isLast: stepIndex === steps.length - 1,
+      visited,
+      completed,
+      pending,
+      next: this.next,
+      previous: this.previous,
+      goTo: this.goTo
+    }
+  }
+  render() {
+    const { children, render } = this.props
+    const renderWizard = render || children
+    if (!this.control || !renderWizard) {
+      return null
+    }
+    const wizard = this.getWizard()
+    // Re-render the wizard whenever the state of the current step changes,
+    // the fields are re-mounted for each step
+    return React.createElement(
+      FormContext.Provider,
+      { value: wizard.control },
+      React.createElement(Field, {
+        key: wizard.step.name,
+        control: wizard.control,
+        strict: false,
+        render: () => renderWizard(wizard)
+      })
+    )
+  }
+}
+
+FormWizard.contextType = FormContext
+
+FormWizard.defaultProps = {
+  initialStep: 0
+}
+
+FormWizard.propTypes = {
+  steps: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      options: PropTypes.shape({
+        validators: PropTypes.oneOfType([
+          PropTypes.func,
+          PropTypes.string,
+          PropTypes.array
+        ]),
+        asyncValidators: PropTypes.oneOfType([
+          PropTypes.func,
+          PropTypes.string,
+          PropTypes.array
+        ]),
+        updateOn: PropTypes.oneOf(['change', 'blur', 'submit'])
+      }),
+      meta: PropTypes.object
+    })
+  ).isRequired,
+  initialStep: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  onStepChange: PropTypes.func,
+  onComplete: PropTypes.func,
+  render: PropTypes.func,
+  name: PropTypes.string,
+  control: PropTypes.instanceOf(FormGroup),
+  options: PropTypes.object,
+  parent: PropTypes.oneOfType([
+    PropTypes.instanceOf(FormArray),
+    PropTypes.instanceOf(FormGroup)
+  ]),
+  meta: PropTypes.object
+}
@@ -0,0 +1,44 @@
+const isEmptyValue = value => value == null || value.length === 0
+
+/**
+ * Evaluates a condition against a form.
+ *
+ * A condition can either be a predicate which receives the form, or a declarative
+ * object with the path of a control ( resolved from the form ) and one of the
+ * `equals`, `in` or `notEmpty` operators. If no operator is defined then the
+ * control must have a truthy value.
+ *
+ * ### Example
+ *
+ * ```
+ * evaluateCondition({ path: 'country', in: ['US', 'CA'] }, form)
+ * evaluateCondition(form => form.value.age >= 18, form)
+ * ```
+ * @param {Function|{path: String, equals: any, in: any[], notEmpty: Boolean}} condition
+ * @param {FormGroup|FormArray} form
+ * @param {Boolean} defaultValue The result if the condition is not defined
+ * @return {Boolean}
+ */
+export function evaluateCondition(condition, form, defaultValue = true) {
+  if (condition == null) {
+    return defaultValue
+  }
+  if (typeof condition === 'function') {
+    return !!condition(form)
+  }
+  const control = form ? form.get(condition.path) : null
+  if (!control) {
+    return false
+  }
+  const { value } = control
+  if ('equals' in condition) {
+    return value === condition.equals
+  }
+  if ('in' in condition) {
+    return condition.in.indexOf(value) > -1
+  }
+  if ('notEmpty' in condition) {
+    return condition.notEmpty === !isEmptyValue(value)
+  }
+  return !!value
+}
@@ -0,0 +1,79 @@
+/**
+ * The locale of the messages which are used when the active locale doesn't
+ * define a message for an error.
+ */
+export const DEFAULT_LOCALE = 'default'
+
+const bundles = {
+  [DEFAULT_LOCALE]: {}
+}
+let activeLocale = DEFAULT_LOCALE
+
+/**
+ * Registers the messages of the errors for a locale.
+ *
+ * A message can either be a string or a function which receives the error
+ * data and the control e.g `({ requiredLength }) => \`Min ${requiredLength}\``.
+ * The messages are merged with the already registered messages of the locale.
+ * @param {{[errorCode: string]: String|Function}} messages
+ * @param {String} locale
+ * @return {void}
+ */
+export function setErrorMessages(messages, locale = DEFAULT_LOCALE) {
+  bundles[locale] = Object.assign({}, bundles[locale], messages)
+}
+
+/**
+ * Sets the locale of the messages returned by `errorMessages` & `firstErrorMessage`.
+ * @param {String} locale
+ * @return {void}
+ */
+export function setErrorMessagesLocale(locale) {
+  activeLocale = locale || DEFAULT_LOCALE
+}
+
+/**
+ * Returns the active locale of the error messages.
+ * @return {String}
+ */
+export function getErrorMessagesLocale() {
+  return activeLocale
+}
+
+function findMessage(control, errorCode) {
+  const overrides = control.meta && control.meta.errorMessages
+  if (overrides && overrides[errorCode] != null) {
+    return overrides[errorCode]
+  }
+  const bundle = bundles[activeLocale]
+  if (bundle && bundle[errorCode] != null) {
+    return bundle[errorCode]
+  }
+  return bundles[DEFAULT_LOCALE][errorCode]
+}
+
+/**
+ * Resolves the message of an error.
+ *
+ * The message is looked up in the `meta.errorMessages` of the control, the messages
+ * of the active locale and the messages of the default locale.
+ * If there is no message then the `message` of the error data is used
+ * ( e.g the errors of the schema adapters ), otherwise the error code.
+ * @param {AbstractControl} control
+ * @param {String} errorCode
+ * @param {any} error
+ * @return {String}
+ */
+export function getErrorMessage(control, errorCode, error) {
+  const message = findMessage(control, errorCode)
+  if (typeof message === 'function') {
+    return message(error, control)
+  }
+  if (message != null) {
+    return message
+  }
+  if (error && typeof error.message === 'string') {
+    return error.message
+  }
+  return errorCode
+}
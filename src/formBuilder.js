@@ -1,4 +1,6 @@
 import { FormControl, FormArray, FormGroup } from './model'
+import Validators from './validators'
+import { createKeywordValidator } from './schema'
 
 function _createControl(controlConfig) {
   if (
@@ -23,10 +25,102 @@ function _reduceControls(controlsConfig) {
   })
   return controls
 }
+function _getSchemaType(schema) {
+  if (schema.type) {
+    // Nullable types are defined as e.g `['string', 'null']`
+    const types = [].concat(schema.type)
+    return types.find(type => type !== 'null') || types[0]
+  }
+  if (schema.properties) {
+    return 'object'
+  }
+  if (schema.items) {
+    return 'array'
+  }
+  return null
+}
+function _getSchemaValidators(schema, required) {
+  const validators = []
+  const type = _getSchemaType(schema)
+  if (required) {
+    validators.push(Validators.required)
+  }
+  if (type === 'integer') {
+    validators.push(Validators.integer)
+  } else if (type === 'number') {
+    validators.push(Validators.number)
+  }
+  // The other keywords are validated the same way as by Validators.fromSchema
+  const keywordValidator = createKeywordValidator(schema)
+  if (keywordValidator) {
+    validators.push(keywordValidator)
+  }
+  return validators.length ? validators : null
+}
+function _getEmptyValue(type) {
+  if (type === 'string') {
+    return ''
+  }
+  if (type === 'boolean') {
+    return false
+  }
+  return null
+}
+/**
+ * Creates the control of a JSON Schema, the initial value has precedence over the
+ * `default` value of the schema.
+ * @param {Object} schema
+ * @param {any} initialValue
+ * @param {Boolean} required
+ * @return {AbstractControl}
+ */
+function _createControlFromSchema(schema, initialValue, required) {
+  const type = _getSchemaType(schema)
+  const value = initialValue !== undefined ? initialValue : schema.default
+  // A required group or array is always present, only its items can be missing
+  const validators = _getSchemaValidators(
+    schema,
+    required && type !== 'object' && type !== 'array'
+  )
+  let control
+  if (type === 'object') {
+    const properties = schema.properties || {}
+    const requiredKeys = schema.required || []
+    const controls = {}
+    Object.keys(properties).forEach(key => {
+      controls[key] = _createControlFromSchema(
+        properties[key],
+        value != null ? value[key] : undefined,
+        requiredKeys.indexOf(key) > -1
+      )
+    })
+    control = new FormGroup(controls, { validators })
+  } else if (type === 'array') {
+    const items = Array.isArray(value) ? value : []
+    const controls = items.map((item, index) =>
+      _createControlFromSchema(
+        Array.isArray(schema.items)
+          ? schema.items[index] || {}
+          : schema.items || {},
+        item,
+        false
+      )
+    )
+    control = new FormArray(controls, { validators })
+  } else {
+    const formState = value !== undefined ? value : _getEmptyValue(type)
+    control = new FormControl(formState, { validators })
+  }
+  if (schema.readOnly) {
+    control.disable({ emitEvent: false })
+  }
+  return control
+}
 export default class FormBuilder {
   /**
    * Construct a new `FormGroup` with the given map of configuration.
-   * Valid keys for the `extra` parameter map are `validators`, `asyncValidators` & `updateOn`.
+   * Valid keys for the `extra` parameter map are `validators`, `asyncValidators`, `updateOn`,
+   * `asyncValidatorDebounce`, `accessibility` & `idPrefix`.
    * @param {{[key: string]: any}} controlsConfig
    * @param {{[key: string]: any}|null} extra
    * @return {FormGroup}
@@ -36,18 +130,41 @@ export default class FormBuilder {
     const validators = extra != null ? extra.validators : null
     const asyncValidators = extra != null ? extra.asyncValidators : null
     const updateOn = extra != null ? extra.updateOn : null
-    return new FormGroup(controls, { validators, asyncValidators, updateOn })
+    const asyncValidatorDebounce =
+      extra != null ? extra.asyncValidatorDebounce : null
+    const accessibility = extra != null ? extra.accessibility : null
+    const idPrefix = extra != null ? extra.idPrefix : null
+    return new FormGroup(controls, {
+      validators,
+      asyncValidators,
+      updateOn,
+      asyncValidatorDebounce,
+      accessibility,
+      idPrefix
+    })
   }
   /**
    * Construct a `FormArray` from the given `controlsConfig` array of
-   * Valid keys for the `extra` parameter map are `validators`, `asyncValidators` & `updateOn`.
+   * Valid keys for the `extra` parameter map are `validators`, `asyncValidators`, `updateOn`,
+   * `asyncValidatorDebounce`, `accessibility` & `idPrefix`.
    */
   static array(controlsConfig, extra) {
     const controls = controlsConfig.map(c => _createControl(c))
     const validators = extra != null ? extra.validators : null
     const asyncValidators = extra != null ? extra.asyncValidators : null
     const updateOn = extra != null ? extra.updateOn : null
-    return new FormArray(controls, { validators, asyncValidators, updateOn })
+    const asyncValidatorDebounce =
+      extra != null ? extra.asyncValidatorDebounce : null
+    const accessibility = extra != null ? extra.accessibility : null
+    const idPrefix = extra != null ? extra.idPrefix : null
+    return new FormArray(controls, {
+      validators,
+      asyncValidators,
+      updateOn,
+      asyncValidatorDebounce,
+      accessibility,
+      idPrefix
+    })
   }
 
   /**
@@ -55,13 +172,37 @@ export default class FormBuilder {
    * and `updateOn`
    * `formState` can either be a standalone value for the form control or an object
    * that contains both a value and a disabled status.
+   * The options e.g `{ validators, parse, format }` can also be passed instead of the validators.
    * @param {Object} formState
-   * @param {Function|Function[]|null} validator
+   * @param {Function|Function[]|Object|null} validator
    * @param {Function|Function[]|null} asyncValidator
    * @param {string} updatOn
    * @return {FormControl}
    */
   static control(formState, validators, asyncValidators, updateOn) {
+    if (
+      validators != null &&
+      typeof validators === 'object' &&
+      !Array.isArray(validators) &&
+      typeof validators.validate !== 'function'
+    ) {
+      return new FormControl(formState, validators)
+    }
     return new FormControl(formState, { validators, asyncValidators, updateOn })
   }
+
+  /**
+   * Construct a tree of controls from a JSON Schema.
+   * An `object` schema creates a `FormGroup`, an `array` schema creates a `FormArray` with
+   * a control per item of the initial value and the other schemas create a `FormControl`.
+   *
+   * The keywords like `required`, `minLength`, `pattern` or `enum` are mapped to the
+   * validators and the `default` keywords are used for the missing initial values.
+   * @param {Object} schema
+   * @param {any} initialValue
+   * @return {AbstractControl}
+   */
+  static fromJsonSchema(schema, initialValue) {
+    return _createControlFromSchema(schema || {}, initialValue, false)
+  }
 }
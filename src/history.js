@@ -0,0 +1,185 @@
+import { FormControl } from './model'
+import Observable from './observable'
+import { createControlFromValue, matchArrayLengths } from './structure'
+
+const getSnapshot = control =>
+  control instanceof FormControl ? control.value : control.getRawValue()
+
+const isEqualValue = (a, b) => {
+  if (a === b) {
+    return true
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+  if (
+    a == null ||
+    b == null ||
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    a instanceof Array !== b instanceof Array
+  ) {
+    return false
+  }
+  const keys = Object.keys(a)
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(key => isEqualValue(a[key], b[key]))
+  )
+}
+
+/**
+ * Records the snapshots of the value of a control to undo & redo the changes.
+ */
+class FormHistory {
+  constructor(
+    control,
+    { limit = 100, debounce = 300, createControl = createControlFromValue } = {}
+  ) {
+    this.control = control
+    this.limit = limit
+    this.debounce = debounce
+    this.createControl = createControl
+    this.past = []
+    this.future = []
+    this.present = getSnapshot(control)
+    this.restoring = false
+    this.timeout = null
+    /**
+     * Emits whenever a snapshot is recorded or restored.
+     */
+    this.historyChanges = new Observable()
+    this.onValueChanges = this.onValueChanges.bind(this)
+    this.subscription = control.valueChanges.subscribe(this.onValueChanges)
+  }
+  get canUndo() {
+    return this.past.length > 0 || this.timeout !== null
+  }
+  get canRedo() {
+    return this.timeout === null && this.future.length > 0
+  }
+  onValueChanges() {
+    // The restored values are not new edits
+    if (this.restoring) {
+      return
+    }
+    if (!this.debounce) {
+      this.record()
+      return
+    }
+    // Coalesce the rapid changes e.g keystrokes into a single snapshot
+    const wasPending = this.timeout !== null
+    clearTimeout(this.timeout)
+    this.timeout = setTimeout(() => this.record(), this.debounce)
+    if (!wasPending) {
+      this.historyChanges.next()
+    }
+  }
+  // Records the current value of the control as a snapshot
+  record() {
+    clearTimeout(this.timeout)
+    this.timeout = null
+    const snapshot = getSnapshot(this.control)
+    if (!isEqualValue(snapshot, this.present)) {
+      this.past.push(this.present)
+      if (this.past.length > this.limit) {
+        this.past.shift()
+      }
+      this.present = snapshot
+      this.future = []
+    }
+    this.historyChanges.next()
+  }
+  // Records the pending changes
+  flush() {
+    if (this.timeout !== null) {
+      this.record()
+    }
+  }
+  // The snapshots are only moved between the stacks once the value has been restored
+  restore(snapshot) {
+    this.restoring = true
+    try {
+      // The items which have been added or removed since the snapshot
+      matchArrayLengths(this.control, snapshot, this.createControl)
+      this.control.patchValue(snapshot)
+    } finally {
+      this.restoring = false
+    }
+    this.present = snapshot
+  }
+  /**
+   * Restores the previous snapshot.
+   * @return {void}
+   */
+  undo() {
+    this.flush()
+    if (this.past.length) {
+      const present = this.present
+      this.restore(this.past[this.past.length - 1])
+      this.past.pop()
+      this.future.push(present)
+      this.historyChanges.next()
+    }
+  }
+  /**
+   * Restores the snapshot which has been undone.
+   * @return {void}
+   */
+  redo() {
+    this.flush()
+    if (this.future.length) {
+      const present = this.present
+      this.restore(this.future[this.future.length - 1])
+      this.future.pop()
+      this.past.push(present)
+      this.historyChanges.next()
+    }
+  }
+  /**
+   * Removes the snapshots, the current value becomes the initial snapshot.
+   * @return {void}
+   */
+  clear() {
+    clearTimeout(this.timeout)
+    this.timeout = null
+    this.past = []
+    this.future = []
+    this.present = getSnapshot(this.control)
+    this.historyChanges.next()
+  }
+  /**
+   * Stops tracking the changes of the control.
+   * @return {void}
+   */
+  destroy() {
+    clearTimeout(this.timeout)
+    this.timeout = null
+    this.subscription.unsubscribe()
+    this.historyChanges.complete()
+  }
+}
+
+/**
+ * Tracks the changes of the value of a control to undo & redo them.
+ *
+ * The rapid changes are coalesced into a single snapshot, the values are
+ * restored with `patchValue` and are not recorded as new changes. The items of
+ * the arrays are added or removed to match the restored snapshot.
+ *
+ * ### Example
+ *
+ * ```
+ * const history = trackHistory(form, { limit: 50, debounce: 500 })
+ * history.undo()
+ * history.canRedo // true
+ * ```
+ * @param {AbstractControl} control
+ * @param {{limit: Number, debounce: Number, createControl: Function}} options `limit` is the max
+ * number of the snapshots which can be undone, `debounce` is the time in ms to coalesce the changes,
+ * `createControl` creates the items which are restored to the arrays
+ * @return {FormHistory}
+ */
+export function trackHistory(control, options) {
+  return new FormHistory(control, options)
+}
@@ -0,0 +1,136 @@
+import { useContext, useEffect, useReducer, useRef } from 'react'
+import configureControl from './configureControl'
+import FormContext from './FormContext'
+
+const forceUpdateReducer = count => count + 1
+
+/**
+ * Maps the hook arguments to the props format expected by `configureControl`.
+ * @param {String|AbstractControl} nameOrControl
+ * @param {{[key: string]: any}} options
+ * @return {{[key: string]: any}}
+ */
+const getControlProps = (nameOrControl, options = {}) => {
+  if (typeof nameOrControl === 'string') {
+    return Object.assign({}, options, { name: nameOrControl })
+  }
+  return Object.assign({}, options, { control: nameOrControl })
+}
+
+/**
+ * Subscribes the component to the state changes of a control and returns
+ * the selected slice of the control's state.
+ *
+ * If a selector is defined then the component will only re-render when the
+ * selected value changes, otherwise it re-renders on every state change.
+ * @param {AbstractControl} control
+ * @param {(control: AbstractControl) => any} selector
+ * @return {any}
+ */
+export function useControlState(control, selector) {
+  const [, forceUpdate] = useReducer(forceUpdateReducer, 0)
+  const selectorRef = useRef(selector)
+  selectorRef.current = selector
+  const selected = control && selector ? selector(control) : control
+  const selectedRef = useRef(selected)
+  selectedRef.current = selected
+
+  useEffect(
+    () => {
+      if (!control) {
+        return undefined
+      }
+      const listener = () => {
+        if (selectorRef.current) {
+          const nextSelected = selectorRef.current(control)
+          if (nextSelected === selectedRef.current) {
+            return
+          }
+        }
+        forceUpdate()
+      }
+      const subscription = control.stateChanges.subscribe(listener)
+      return () => {
+        subscription.unsubscribe()
+      }
+    },
+    [control]
+  )
+  return selected
+}
+
+/**
+ * Creates or resolves a control of the given reference type and subscribes
+ * the component to its state changes.
+ *
+ * The parent control is resolved from the `parent` option or the nearest
+ * `FormContext` provider.
+ * @param {String|AbstractControl} nameOrControl
+ * @param {{[key: string]: any}} options
+ * @param {String} reference
+ * @return {AbstractControl}
+ */
+function useConfiguredControl(nameOrControl, options = {}, reference) {
+  const parentControl = useContext(FormContext)
+  const { parent, index } = options
+  const keys = [nameOrControl, parent, parentControl, index]
+  const configured = useRef(null)
+  // Configures the control only once per name, control, parent or index, since
+  // it might add the control to its parent
+  if (
+    !configured.current ||
+    configured.current.keys.some((key, i) => key !== keys[i])
+  ) {
+    configured.current = {
+      keys,
+      control: configureControl(
+        getControlProps(nameOrControl, options),
+        { parentControl },
+        reference
+      )
+    }
+  }
+  const { control } = configured.current
+  useControlState(control)
+  return control
+}
+
+/**
+ * Returns an instance of FormControl and re-renders the component
+ * whenever the control's state changes.
+ *
+ * The first argument can either be the name of the control in the parent
+ * group or an existing instance of FormControl.
+ * @param {String|FormControl} nameOrControl
+ * @param {{parent: FormGroup|FormArray, options: AbstractControlOptions, formState: any, index: Number, meta: Object}} options
+ * @return {FormControl}
+ */
+export function useFormControl(nameOrControl, options) {
+  return useConfiguredControl(nameOrControl, options, 'FormControl')
+}
+
+/**
+ * Returns an instance of FormGroup and re-renders the component
+ * whenever the group's state changes.
+ *
+ * If neither a name nor a control is passed then a new FormGroup is created.
+ * @param {String|FormGroup} nameOrControl
+ * @param {{parent: FormGroup|FormArray, options: AbstractControlOptions, index: Number, meta: Object}} options
+ * @return {FormGroup}
+ */
+export function useFormGroup(nameOrControl, options) {
+  return useConfiguredControl(nameOrControl, options, 'FormGroup')
+}
+
+/**
+ * Returns an instance of FormArray and re-renders the component
+ * whenever the array's state changes.
+ *
+ * If neither a name nor a control is passed then a new FormArray is created.
+ * @param {String|FormArray} nameOrControl
+ * @param {{parent: FormGroup|FormArray, options: AbstractControlOptions, index: Number, meta: Object}} options
+ * @return {FormArray}
+ */
+export function useFormArray(nameOrControl, options) {
+  return useConfiguredControl(nameOrControl, options, 'FormArray')
+}
@@ -1,11 +1,29 @@
 import FormBuilder from './formBuilder'
 import Validators from './validators'
+import Transformers from './transformers'
 import Field from './Field'
 import { FormGroup, FormControl, FormArray } from './model'
 import FieldGroup from './FieldGroup'
 import FieldControl from './FieldControl'
 import FieldArray from './FieldArray'
 import FormGenerator from './FormGenerator'
+import FormWizard from './FormWizard'
+import FormContext from './FormContext'
+import FormProvider from './FormProvider'
+import {
+  useFormControl,
+  useFormGroup,
+  useFormArray,
+  useControlState
+} from './hooks'
+import {
+  setErrorMessages,
+  setErrorMessagesLocale,
+  getErrorMessagesLocale
+} from './errorMessages'
+import { registerValidators } from './validatorRegistry'
+import { trackHistory } from './history'
+import { persistForm, createMemoryStorage } from './persist'
 
 export {
   FormBuilder,
@@ -13,9 +31,24 @@ export {
   FormControl,
   FormArray,
   Validators,
+  Transformers,
   Field,
   FieldGroup,
   FieldControl,
   FieldArray,
-  FormGenerator
+  FormGenerator,
+  FormWizard,
+  FormContext,
+  FormProvider,
+  useFormControl,
+  useFormGroup,
+  useFormArray,
+  useControlState,
+  setErrorMessages,
+  setErrorMessagesLocale,
+  getErrorMessagesLocale,
+  registerValidators,
+  trackHistory,
+  persistForm,
+  createMemoryStorage
 }
@@ -0,0 +1,120 @@
+/**
+ * The placeholders of the mask patterns, the other characters are literals.
+ */
+export const MASK_TOKENS = {
+  '9': /\d/,
+  a: /[a-zA-Z]/,
+  '*': /[a-zA-Z0-9]/
+}
+
+const isToken = char => Object.prototype.hasOwnProperty.call(MASK_TOKENS, char)
+
+const stripValue = value => String(value).replace(/[^a-zA-Z0-9]/g, '')
+
+/**
+ * Returns the pattern of a mask, a function mask receives the alphanumeric
+ * characters of the value e.g to switch the pattern by the type of a card.
+ * @param {String|Function} mask
+ * @param {any} value
+ * @return {String}
+ */
+export function getMaskPattern(mask, value) {
+  if (typeof mask === 'function') {
+    return mask(value == null ? '' : stripValue(value)) || ''
+  }
+  return mask || ''
+}
+
+/**
+ * Returns the characters of a masked value which fill the placeholders of the pattern.
+ *
+ * ### Example
+ *
+ * ```
+ * unmask('(999) 999-9999', '(555) 123-4') // '5551234'
+ * ```
+ * @param {String} pattern
+ * @param {String} value
+ * @return {String}
+ */
+export function unmask(pattern, value) {
+  let raw = ''
+  let index = 0
+  const chars = value == null ? '' : String(value)
+  for (let i = 0; i < chars.length && index < pattern.length; i++) {
+    const char = chars[i]
+    if (!isToken(pattern[index])) {
+      // The typed literals are consumed
+      if (char === pattern[index]) {
+        index++
+        continue
+      }
+      while (index < pattern.length && !isToken(pattern[index])) {
+        index++
+      }
+    }
+    // The characters which don't match the placeholder are skipped
+    if (index < pattern.length && MASK_TOKENS[pattern[index]].test(char)) {
+      raw += char
+      index++
+    }
+  }
+  return raw
+}
+
+/**
+ * Applies a pattern to a value, the characters which don't match a placeholder
+ * are skipped and the literals are only inserted before the filled placeholders.
+ *
+ * ### Example
+ *
+ * ```
+ * applyMask('(999) 999-9999', '5551234') // '(555) 123-4'
+ * ```
+ * @param {String} pattern
+ * @param {String} value
+ * @return {String}
+ */
+export function applyMask(pattern, value) {
+  const chars = value == null ? '' : String(value)
+  let masked = ''
+  let literals = ''
+  let i = 0
+  for (let index = 0; index < pattern.length && i < chars.length; index++) {
+    const token = pattern[index]
+    if (!isToken(token)) {
+      literals += token
+      continue
+    }
+    while (i < chars.length && !MASK_TOKENS[token].test(chars[i])) {
+      i++
+    }
+    if (i < chars.length) {
+      masked += literals + chars[i++]
+      literals = ''
+    }
+  }
+  return masked
+}
+
+/**
+ * Returns the position of the caret in the masked value, so the caret stays after
+ * the same placeholder character as in the typed value.
+ * @param {String} pattern
+ * @param {String} value The typed value
+ * @param {Number} caret The position of the caret in the typed value
+ * @return {Number}
+ */
+export function getMaskedCaret(pattern, value, caret) {
+  const filled = unmask(pattern, String(value).slice(0, caret)).length
+  if (!filled) {
+    return 0
+  }
+  let count = 0
+  for (let index = 0; index < pattern.length; index++) {
+    if (isToken(pattern[index]) && ++count === filled) {
+      return index + 1
+    }
+  }
+  return pattern.length
+}
@@ -1,6 +1,18 @@
-import { toObservable, isEvent, getHandler, isReactNative } from "./utils";
+import {
+  toObservable,
+  isEvent,
+  getHandler,
+  isReactNative,
+  isFunction,
+  createAbortController,
+  warning
+} from "./utils";
 import Subject from "./observable";
+import { getErrorMessage } from "./errorMessages";
 import Validators from "./validators";
+import Transformers from "./transformers";
+import { getMaskPattern, unmask, applyMask, getMaskedCaret } from "./mask";
+import { resolveValidator } from "./validatorRegistry";
 
 export const FormHooks = "change" | "blur" | "submit";
 
@@ -48,6 +60,22 @@ function getControlValue(event) {
           return value;
         }
         return event.target.value;
+      case "file":
+        if (event.target.multiple) {
+          return Array.prototype.slice.call(event.target.files || []);
+        }
+        return event.target.files && event.target.files.length
+          ? event.target.files[0]
+          : null;
+      case "number":
+      case "range":
+        if (event.target.value === "") {
+          return null;
+        }
+        // Keep the values which are not numeric so they can be validated
+        return isNaN(event.target.value)
+          ? event.target.value
+          : Number(event.target.value);
       default:
         return isReactNative() ? event.nativeEvent.text : event.target.value;
     }
@@ -75,6 +103,25 @@ function _find(control, path, delimiter) {
     return null;
   }, control);
 }
+/**
+ * Returns a promise which resolves with the status of the control once
+ * it's not `PENDING` anymore.
+ * @param {AbstractControl} control
+ * @return {Promise<String>}
+ */
+export function waitForPendingValidation(control) {
+  if (control.status !== PENDING) {
+    return Promise.resolve(control.status);
+  }
+  return new Promise(resolve => {
+    const subscription = control.statusChanges.subscribe(() => {
+      if (control.status !== PENDING) {
+        subscription.unsubscribe();
+        resolve(control.status);
+      }
+    });
+  });
+}
 /**
  * @param {{validators: Function|Function[]|null, asyncValidators: Function|Function[]|null, updateOn: 'change' | 'blur' | 'submit'}} validatorOrOpts
  * @return {Boolean}
@@ -87,24 +134,35 @@ function isOptionsObj(validatorOrOpts) {
   );
 }
 /**
- * @param {Function} validator
+ * @param {Function|Function[]} transformer
+ * @return {Function}
+ */
+function coerceToTransformer(transformer) {
+  return Array.isArray(transformer)
+    ? Transformers.compose(transformer)
+    : transformer;
+}
+/**
+ * @param {Function|String|Array} validator
  * @return {Function}
  */
 function normalizeValidator(validator) {
-  if (validator.validate) {
-    return c => validator.validate(c);
+  const resolved = resolveValidator(validator);
+  if (resolved && resolved.validate) {
+    return c => resolved.validate(c);
   }
-  return validator;
+  return resolved;
 }
 /**
- * @param {Function} validator
+ * @param {Function|String|Array} validator
  * @return {Function}
  */
 function normalizeAsyncValidator(validator) {
-  if (validator.validate) {
-    return c => validator.validate(c);
+  const resolved = resolveValidator(validator);
+  if (resolved && resolved.validate) {
+    return (c, signal) => resolved.validate(c, signal);
   }
-  return validator;
+  return resolved;
 }
 /**
  * @param {Function[]} validators
@@ -131,7 +189,7 @@ function coerceToValidator(validatorOrOpts) {
     : validatorOrOpts;
   return Array.isArray(validator)
     ? composeValidators(validator)
-    : validator || null;
+    : resolveValidator(validator) || null;
 }
 
 function coerceToAsyncValidator(asyncValidator, validatorOrOpts) {
@@ -140,7 +198,7 @@ function coerceToAsyncValidator(asyncValidator, validatorOrOpts) {
     : asyncValidator;
   return Array.isArray(origAsyncValidator)
     ? composeAsyncValidators(origAsyncValidator)
-    : origAsyncValidator || null;
+    : resolveValidator(origAsyncValidator) || null;
 }
 /**
  * This is the base class for `FormControl`, `FormGroup`, and
@@ -166,6 +224,20 @@ export class AbstractControl {
      */
     this.touched = false;
     this.submitted = false;
+    /**
+     * A control is `submitting` while the submit handler passed
+     * to `handleSubmit` is in progress.
+     */
+    this.submitting = false;
+    /**
+     * The number of times the control has been submitted since the last reset.
+     */
+    this.submitCount = 0;
+    /**
+     * A control is `submitSucceeded` if the last submit was valid and the
+     * submit handler didn't return any errors.
+     */
+    this.submitSucceeded = false;
     /**
      * A control is `pristine` if the user has not yet changed
      * the value in the UI.
@@ -179,6 +251,16 @@ export class AbstractControl {
     this._pendingDirty = false;
     this._pendingTouched = false;
     this._onDisabledChange = [];
+    this._asyncValidationRunId = 0;
+    this._dependencySubscriptions = {};
+    this._validatingDependencies = false;
+    this._asyncValidatorDebounce = 0;
+    this._name = null;
+    /**
+     * Called when the async validator rejects or throws an error.
+     * It can return the errors to be set on the control.
+     */
+    this.onAsyncValidatorError = null;
     this.hasError = this.hasError.bind(this);
     this.getError = this.getError.bind(this);
     this.reset = this.reset.bind(this);
@@ -280,6 +362,154 @@ export class AbstractControl {
     }
     return x;
   }
+  /**
+   * Returns the messages of the control's errors, resolved from the
+   * `meta.errorMessages` of the control or the registered error messages.
+   * @return {String[]}
+   */
+  get errorMessages() {
+    if (!this.errors) {
+      return [];
+    }
+    return Object.keys(this.errors).map(errorCode =>
+      getErrorMessage(this, errorCode, this.errors[errorCode])
+    );
+  }
+  /**
+   * Returns the message of the control's first error, or null if the control
+   * has no errors.
+   * @return {String|null}
+   */
+  get firstErrorMessage() {
+    const errorCode = this.errors ? Object.keys(this.errors)[0] : null;
+    return errorCode
+      ? getErrorMessage(this, errorCode, this.errors[errorCode])
+      : null;
+  }
+  /**
+   * Whether the `handler` emits the accessibility props, inherited from the parent.
+   * @return {Boolean}
+   */
+  get accessibility() {
+    if (this._accessibility != null) {
+      return this._accessibility;
+    }
+    return this.parent ? this.parent.accessibility : false;
+  }
+  /**
+   * A control is `required` if its validators contain `Validators.required` or `Validators.requiredTrue`.
+   * @return {Boolean}
+   */
+  get required() {
+    return !!(
+      this.validator &&
+      (this.validator === Validators.required ||
+        this.validator === Validators.requiredTrue ||
+        this.validator.isRequired)
+    );
+  }
+  /**
+   * A stable id generated from the path of the control e.g `rrf-address-city`,
+   * the prefix is defined by the `idPrefix` option of the control or its ancestors.
+   * @return {String}
+   */
+  get id() {
+    let prefix = this._idPrefix;
+    let control = this.parent;
+    while (!prefix && control) {
+      prefix = control._idPrefix;
+      control = control.parent;
+    }
+    return [prefix || "rrf"]
+      .concat(this.path)
+      .map(key => String(key).replace(/[^\w-]/g, "_"))
+      .join("-");
+  }
+  /**
+   * The id of the element which displays the errors of the control.
+   * @return {String}
+   */
+  get errorId() {
+    return `${this.id}-error`;
+  }
+  /**
+   * The errors are announced once the control has been touched or submitted.
+   * @return {Boolean}
+   */
+  get showErrors() {
+    return this.invalid && (this.touched || this.submitted);
+  }
+  /**
+   * Returns the props of the element which displays the errors of the control,
+   * it's referenced by the `aria-describedby` attribute of the input element.
+   * @return {{id: String, role: String}}
+   */
+  errorProps() {
+    return {
+      id: this.errorId,
+      role: "alert"
+    };
+  }
+  /**
+   * The name of the control in its parent, the index for the items of a `FormArray`.
+   * It's `null` for the root control and the controls which have been removed.
+   * @return {String|Number|null}
+   */
+  get name() {
+    return this._name != null ? this._name : null;
+  }
+  /**
+   * The names of the control and its ancestors from the root e.g `['addresses', 0, 'city']`.
+   * @return {(String|Number)[]}
+   */
+  get path() {
+    const path = [];
+    let control = this;
+    while (control._parent && control._name != null) {
+      path.unshift(control._name);
+      control = control._parent;
+    }
+    return path;
+  }
+  /**
+   * The dotted path of the control e.g `addresses.0.city`, it can be passed to `get`.
+   * @return {String}
+   */
+  get pathString() {
+    return this.path.join(".");
+  }
+  /**
+   * Returns the first descendant of the control which matches the predicate.
+   *
+   * ### Example
+   *
+   * ```
+   * const firstInvalid = form.find(control => control instanceof FormControl && control.invalid);
+   * ```
+   * @param {(control: AbstractControl) => Boolean} predicate
+   * @return {AbstractControl|null}
+   */
+  find(predicate) {
+    let result = null;
+    this.forEachDescendant(control => {
+      if (!result && predicate(control)) {
+        result = control;
+      }
+    });
+    return result;
+  }
+  /**
+   * Calls the callback for each descendant of the control, the parents are visited
+   * before their children.
+   * @param {(control: AbstractControl) => void} cb
+   * @return {void}
+   */
+  forEachDescendant(cb) {
+    this._forEachChild(control => {
+      cb(control);
+      control.forEachDescendant(cb);
+    });
+  }
   setInitialStatus() {
     if (this.disabled) {
       this.status = DISABLED;
@@ -296,6 +526,7 @@ export class AbstractControl {
    * @return {void}
    */
   disable(opts = {}) {
+    this._cancelExistingSubscription();
     this.status = DISABLED;
     this.errors = null;
     this._forEachChild(control => {
@@ -410,6 +641,8 @@ export class AbstractControl {
    */
   markAsUnsubmitted(opts = {}) {
     this.submitted = false;
+    this.submitCount = 0;
+    this.submitSucceeded = false;
 
     this._forEachChild(control => {
       control.markAsUnsubmitted({
@@ -597,6 +830,83 @@ export class AbstractControl {
    */
   setParent(parent) {
     this._parent = parent;
+    this._revalidateDependents();
+  }
+  /**
+   * Re-runs the validators with dependencies of the control and its descendants,
+   * since the dependencies are resolved from the root control which might have changed.
+   * @return {void}
+   */
+  _revalidateDependents() {
+    this._forEachChild(control => control._revalidateDependents());
+    if (this.validator && this.validator.dependsOn) {
+      this.updateValueAndValidity({
+        emitEvent: false
+      });
+    }
+  }
+  /**
+   * Subscribes to the value changes of the controls the validator depends on,
+   * the paths are resolved from the root control.
+   * @return {void}
+   */
+  _trackDependencies() {
+    const paths =
+      this.validator && this.validator.dependsOn ? this.validator.dependsOn : [];
+    const subscriptions = this._dependencySubscriptions;
+    Object.keys(subscriptions).forEach(path => {
+      if (paths.indexOf(path) === -1) {
+        subscriptions[path].subscription.unsubscribe();
+        delete subscriptions[path];
+      }
+    });
+    paths.forEach(path => {
+      const dependency = this.root.get(path);
+      const current = subscriptions[path];
+      if (current && current.control === dependency) {
+        return;
+      }
+      if (current) {
+        current.subscription.unsubscribe();
+        delete subscriptions[path];
+      }
+      if (dependency) {
+        subscriptions[path] = {
+          control: dependency,
+          subscription: dependency.valueChanges.subscribe(() =>
+            this._onDependencyChange()
+          )
+        };
+      }
+    });
+  }
+  /**
+   * Unsubscribes from the dependencies of the control and its descendants.
+   * @return {void}
+   */
+  _untrackDependencies() {
+    this._forEachChild(control => control._untrackDependencies());
+    const subscriptions = this._dependencySubscriptions;
+    Object.keys(subscriptions).forEach(path => {
+      subscriptions[path].subscription.unsubscribe();
+      delete subscriptions[path];
+    });
+  }
+  /**
+   * Re-validates the control when one of its dependencies changes.
+   * @return {void}
+   */
+  _onDependencyChange() {
+    // Prevents the infinite loops in case of circular dependencies
+    if (this._validatingDependencies) {
+      return;
+    }
+    this._validatingDependencies = true;
+    try {
+      this.updateValueAndValidity();
+    } finally {
+      this._validatingDependencies = false;
+    }
   }
   /**
    * @param {Boolean} onlySelf
@@ -626,26 +936,100 @@ export class AbstractControl {
     return VALID;
   }
   _runValidator() {
+    this._trackDependencies();
     return this.validator ? this.validator(this) : null;
   }
   /**
+   * Runs the async validator after the `asyncValidatorDebounce` time.
+   *
+   * Only the result of the latest run is applied, the results of the
+   * superseded runs are discarded.
    * @param {Booelan} emitEvent
    * @return {void}
    */
   _runAsyncValidator(emitEvent) {
     if (this.asyncValidator) {
       this.status = PENDING;
-      const obs = toObservable(this.asyncValidator(this));
-      this._asyncValidationSubscription = obs.subscribe(errors =>
-        this.setErrors(errors, {
-          emitEvent
-        })
-      );
+      const runId = ++this._asyncValidationRunId;
+      const abortController = createAbortController();
+      this._asyncValidationAbortController = abortController;
+      const isLatestRun = () => runId === this._asyncValidationRunId;
+      const run = () => {
+        this._asyncValidationTimeout = null;
+        let result;
+        try {
+          result = this.asyncValidator(
+            this,
+            abortController ? abortController.signal : undefined
+          );
+        } catch (error) {
+          this._handleAsyncValidatorError(error, emitEvent);
+          return;
+        }
+        const obs = toObservable(result);
+        this._asyncValidationSubscription = obs.subscribe({
+          next: errors => {
+            if (isLatestRun()) {
+              this.setErrors(errors, {
+                emitEvent
+              });
+            }
+          },
+          error: error => {
+            if (isLatestRun()) {
+              this._handleAsyncValidatorError(error, emitEvent);
+            }
+          }
+        });
+      };
+      if (this._asyncValidatorDebounce > 0) {
+        this._asyncValidationTimeout = setTimeout(
+          run,
+          this._asyncValidatorDebounce
+        );
+      } else {
+        run();
+      }
     }
   }
+  /**
+   * Sets the errors of the control when the async validator rejects or throws.
+   *
+   * The errors returned by the `onAsyncValidatorError` hook are used if defined,
+   * otherwise the control gets the `asyncValidatorFailed` error.
+   * @param {any} error
+   * @param {Booelan} emitEvent
+   * @return {void}
+   */
+  _handleAsyncValidatorError(error, emitEvent) {
+    let errors;
+    if (this.onAsyncValidatorError) {
+      errors = this.onAsyncValidatorError(error, this);
+    }
+    if (errors === undefined) {
+      errors = { asyncValidatorFailed: error };
+    }
+    this.setErrors(errors, {
+      emitEvent
+    });
+  }
+  /**
+   * Cancels the scheduled or in-flight async validation and aborts its signal.
+   * @return {void}
+   */
   _cancelExistingSubscription() {
+    this._asyncValidationRunId++;
+    if (this._asyncValidationTimeout) {
+      clearTimeout(this._asyncValidationTimeout);
+      this._asyncValidationTimeout = null;
+    }
     if (this._asyncValidationSubscription) {
       this._asyncValidationSubscription.unsubscribe();
+      this._asyncValidationSubscription = null;
+    }
+    if (this._asyncValidationAbortController) {
+      this._asyncValidationAbortController.abort();
+      this._asyncValidationAbortController = null;
     }
   }
   /**
@@ -717,6 +1101,128 @@ export class AbstractControl {
   _registerOnCollectionChange(fn) {
     this._onCollectionChange = fn;
   }
+  /**
+   * Detaches a control which is removed from the collection, so it doesn't
+   * re-validate on the changes of its dependencies anymore.
+   * @param {AbstractControl} control
+   * @return {void}
+   */
+  _unregisterControl(control) {
+    if (control) {
+      control._registerOnCollectionChange(() => {});
+      control._name = null;
+      control._parent = null;
+      control._untrackDependencies();
+    }
+  }
+  /**
+   * Re-validates the controls whose dependencies resolve to other controls
+   * after the collection of a control has been changed.
+   * @return {void}
+   */
+  _revalidateStaleDependents() {
+    const root = this.root;
+    const isStale = control => {
+      const paths =
+        control.validator && control.validator.dependsOn
+          ? control.validator.dependsOn
+          : [];
+      const subscriptions = control._dependencySubscriptions;
+      return paths.some(path => {
+        const tracked = subscriptions[path]
+          ? subscriptions[path].control
+          : null;
+        return tracked !== (root.get(path) || null);
+      });
+    };
+    const dependents = [root].filter(isStale);
+    root.forEachDescendant(control => {
+      if (isStale(control)) {
+        dependents.push(control);
+      }
+    });
+    dependents.forEach(control => control._onDependencyChange());
+  }
+  /**
+   * Submits the control, waits for the pending async validations and calls
+   * `onValid` with the value of the control if it's valid, otherwise calls `onInvalid`.
+   *
+   * If `onValid` returns (or resolves with) an object then it's treated as a
+   * map of errors keyed by the control paths, which are set on the matching controls.
+   *
+   * The returned promise never rejects, since it's dropped by the event handlers.
+   * The errors thrown by the callbacks are passed to `onError`.
+   * @param {any} event
+   * @param {(value: any, control: AbstractControl) => any} onValid
+   * @param {(control: AbstractControl) => any} onInvalid
+   * @param {(error: any, control: AbstractControl) => any} onError
+   * @return {Promise<Boolean>} resolves with the `submitSucceeded` state
+   */
+  _submit(event, onValid, onInvalid, onError) {
+    if (event && event.preventDefault) {
+      event.preventDefault();
+    }
+    if (this._anyControlsUnsubmitted()) {
+      this.markAsSubmitted({
+        emitEvent: false
+      });
+    }
+    if (!this._syncPendingControls()) {
+      this.updateValueAndValidity();
+    }
+    this.submitting = true;
+    this.submitCount++;
+    this.stateChanges.next();
+    const finish = succeeded => {
+      this.submitting = false;
+      this.submitSucceeded = succeeded;
+      this.stateChanges.next();
+      return succeeded;
+    };
+    return waitForPendingValidation(this)
+      .then(status => {
+        if (status !== VALID) {
+          if (onInvalid) {
+            return Promise.resolve(onInvalid(this)).then(() => false);
+          }
+          return false;
+        }
+        if (!onValid) {
+          return true;
+        }
+        return Promise.resolve(onValid(this.value, this)).then(errors => {
+          if (errors !== null && typeof errors === "object") {
+            this._setSubmitErrors(errors);
+            return false;
+          }
+          return true;
+        });
+      })
+      .then(finish, error => {
+        finish(false);
+        if (onError) {
+          onError(error, this);
+        } else {
+          warning(false, `The submit handler has failed: ${error}`);
+        }
+        return false;
+      });
+  }
+  /**
+   * Sets the errors returned by the submit handler on the matching controls.
+   * An empty path refers to the control itself.
+   * @param {{[path: string]: any}} errors
+   * @return {void}
+   */
+  _setSubmitErrors(errors) {
+    Object.keys(errors).forEach(path => {
+      const control = path === "" ? this : this.get(path);
+      warning(control, `Cannot find the control with path: ${path}.`);
+      if (control) {
+        control.setErrors(errors[path]);
+      }
+    });
+  }
   /**
    * @param {{validators: Function|Function[]|null, asyncValidators: Function|Function[]|null, updateOn: 'change' | 'blur' | 'submit'}} opts
    * @return {Void}
@@ -726,6 +1232,34 @@ export class AbstractControl {
       this._updateOn = opts.updateOn;
     }
   }
+  /**
+   * @param {{accessibility: Boolean, idPrefix: String}} opts
+   * @return {Void}
+   */
+  _setAccessibilityOptions(opts) {
+    if (isOptionsObj(opts)) {
+      if (opts.accessibility != null) {
+        this._accessibility = opts.accessibility;
+      }
+      if (opts.idPrefix != null) {
+        this._idPrefix = opts.idPrefix;
+      }
+    }
+  }
+  /**
+   * @param {{asyncValidatorDebounce: Number, onAsyncValidatorError: Function}} opts
+   * @return {Void}
+   */
+  _setAsyncValidatorOptions(opts) {
+    if (isOptionsObj(opts)) {
+      if (opts.asyncValidatorDebounce != null) {
+        this._asyncValidatorDebounce = opts.asyncValidatorDebounce;
+      }
+      if (opts.onAsyncValidatorError != null) {
+        this.onAsyncValidatorError = opts.onAsyncValidatorError;
+      }
+    }
+  }
 }
 export class FormControl extends AbstractControl {
   constructor(formState, validatorOrOpts, asyncValidator) {
@@ -735,8 +1269,12 @@ export class FormControl extends AbstractControl {
     );
     this.formState = formState;
     this.validatorsOrOpts = validatorOrOpts;
+    this._initObservables();
     this._applyFormState(formState);
     this._setUpdateStrategy(validatorOrOpts);
+    this._setAsyncValidatorOptions(validatorOrOpts);
+    this._setAccessibilityOptions(validatorOrOpts);
+    this._setTransformers(validatorOrOpts);
     this._pendingChange = true;
     this._pendingDirty = false;
     this._pendingTouched = false;
@@ -750,7 +1288,6 @@ export class FormControl extends AbstractControl {
       onlySelf: true,
       emitEvent: false
     });
-    this._initObservables();
     /**
      * Called whenevers an onChange event triggers.
      * Updates the control value according to the update strategy.
@@ -759,7 +1296,22 @@ export class FormControl extends AbstractControl {
      * @return {void}
      */
     this.onChange = event => {
-      const value = getControlValue(event);
+      let viewValue = getControlValue(event);
+      let value = viewValue;
+      if (this.mask && typeof viewValue === "string") {
+        // Keep the unmasked value in the control and display the masked value
+        value = unmask(getMaskPattern(this.mask, viewValue), viewValue);
+        const pattern = getMaskPattern(this.mask, value);
+        const maskedValue = applyMask(pattern, value);
+        this._updateCaret(pattern, viewValue, maskedValue, event);
+        viewValue = maskedValue;
+      }
+      if (this.parse) {
+        value = this.parse(value);
+      }
+      // Keep the typed value to display it while the control is focused
+      this._viewValue = viewValue;
+      this._parsedViewValue = value;
       const isDirty = value !== this.value;
       if (this.updateOn !== "change") {
         this._pendingValue = value;
@@ -793,7 +1345,8 @@ export class FormControl extends AbstractControl {
       } else if (this.updateOn === "submit") {
         this._pendingTouched = true;
       } else {
-        const emitChangeToView = !this.touched;
+        // Re-render to display the formatted value
+        const emitChangeToView = !this.touched || !!this.format;
         if (!this.touched) {
           this.markAsTouched();
         }
@@ -803,6 +1356,13 @@ export class FormControl extends AbstractControl {
       }
       this.onBlurChanges.next(this._pendingValue);
     };
+    /**
+     * Called whenevers the selection of a React Native `TextInput` changes,
+     * used to keep the position of the caret in the masked inputs.
+     */
+    this.onSelectionChange = event => {
+      this._selection = event.nativeEvent.selection;
+    };
     /**
      * Called whenevers an onFocus event triggers.
      */
@@ -900,6 +1460,103 @@ export class FormControl extends AbstractControl {
       this.value = this._pendingValue = formState;
     }
   }
+  /**
+   * @param {{parse: Function|Function[], format: Function|Function[], mask: String|Function}} opts
+   * @return {Void}
+   */
+  _setTransformers(opts) {
+    /**
+     * The pattern of the displayed value e.g `(999) 999-9999`, or a function
+     * which returns the pattern for the unmasked value.
+     */
+    this.mask = null;
+    this._selection = null;
+    /**
+     * Converts the value of the input element into the value of the control.
+     */
+    this.parse = null;
+    /**
+     * Converts the value of the control into the value displayed by the input element.
+     */
+    this.format = null;
+    if (isOptionsObj(opts)) {
+      if (opts.parse != null) {
+        this.parse = coerceToTransformer(opts.parse);
+      }
+      if (opts.format != null) {
+        this.format = coerceToTransformer(opts.format);
+      }
+      if (opts.mask != null) {
+        this.mask = opts.mask;
+      }
+    }
+  }
+  /**
+   * Moves the caret after the same placeholder character as in the typed value,
+   * otherwise the caret jumps to the end when the masked value is displayed.
+   * @param {String} pattern
+   * @param {String} typedValue
+   * @param {String} maskedValue
+   * @param {any} event
+   * @return {void}
+   */
+  _updateCaret(pattern, typedValue, maskedValue, event) {
+    if (isReactNative()) {
+      // The caret is moved with the `selection` prop of the TextInput
+      const displayedValue = String(this._getViewValue() || "");
+      const prevCaret = this._selection
+        ? this._selection.end
+        : displayedValue.length;
+      const typedCaret = Math.min(
+        Math.max(prevCaret + typedValue.length - displayedValue.length, 0),
+        typedValue.length
+      );
+      const caret = getMaskedCaret(pattern, typedValue, typedCaret);
+      this._selection = { start: caret, end: caret };
+      return;
+    }
+    const target = isEvent(event) ? event.target : null;
+    if (
+      !target ||
+      typeof target.selectionStart !== "number" ||
+      typedValue === maskedValue
+    ) {
+      return;
+    }
+    const caret = getMaskedCaret(pattern, typedValue, target.selectionStart);
+    // Restore the caret once the masked value has been rendered
+    Promise.resolve().then(() => {
+      if (
+        target.ownerDocument &&
+        target.ownerDocument.activeElement === target
+      ) {
+        target.setSelectionRange(caret, caret);
+      }
+    });
+  }
+  /**
+   * Returns the value to be displayed in the input element.
+   *
+   * The typed value is displayed while the control is focused and its model value
+   * hasn't been changed, so the partial values e.g `1.` can be typed.
+   * @return {any}
+   */
+  _getViewValue() {
+    const modelValue =
+      this.updateOn !== "change" ? this._pendingValue : this.value;
+    if (
+      this.active &&
+      this._viewValue !== undefined &&
+      this._parsedViewValue === modelValue
+    ) {
+      return this._viewValue;
+    }
+    const viewValue = this.format ? this.format(modelValue) : modelValue;
+    if (this.mask && viewValue != null && viewValue !== "") {
+      return applyMask(getMaskPattern(this.mask, viewValue), viewValue);
+    }
+    return viewValue;
+  }
   _syncPendingControls() {
     if (this.updateOn === "submit") {
       if (this._pendingDirty) this.markAsDirty();
@@ -923,23 +1580,29 @@ export class FormGroup extends AbstractControl {
     this.validatorOrOpts = validatorOrOpts;
     this._initObservables();
     this._setUpdateStrategy(validatorOrOpts);
+    this._setAsyncValidatorOptions(validatorOrOpts);
+    this._setAccessibilityOptions(validatorOrOpts);
     this._setUpControls();
     this.updateValueAndValidity({
       onlySelf: true,
       emitEvent: false
     });
-    this.handleSubmit = e => {
-      if (e) {
-        e.preventDefault();
-      }
-      if (this._anyControlsUnsubmitted()) {
-        this.markAsSubmitted({
-          emitEvent: false
-        });
-      }
-      if (!this._syncPendingControls()) {
-        this.updateValueAndValidity();
+    /**
+     * Submit action, can be used as an `onSubmit` event handler.
+     *
+     * If called with the `onValid`, `onInvalid` & `onError` callbacks then it returns an
+     * event handler which submits the control with those callbacks.
+     * @param {any|Function} eventOrOnValid
+     * @param {Function} onInvalid
+     * @param {Function} onError
+     * @return {Promise<Boolean>|Function}
+     */
+    this.handleSubmit = (eventOrOnValid, onInvalid, onError) => {
+      if (isFunction(eventOrOnValid)) {
+        return event =>
+          this._submit(event, eventOrOnValid, onInvalid, onError);
       }
+      return this._submit(eventOrOnValid);
     };
   }
   /**
@@ -968,6 +1631,7 @@ export class FormGroup extends AbstractControl {
   registerControl(name, control) {
     if (this.controls[name]) return this.controls[name];
     this.controls[name] = control;
+    control._name = name;
     control.setParent(this);
     control._registerOnCollectionChange(this._onCollectionChange);
     return control;
@@ -981,6 +1645,7 @@ export class FormGroup extends AbstractControl {
    */
   addControl(name, control) {
     this.registerControl(name, control);
+    this._revalidateStaleDependents();
     this.updateValueAndValidity();
     this._onCollectionChange();
   }
@@ -991,9 +1656,9 @@ export class FormGroup extends AbstractControl {
    * @return {void}
    */
   removeControl(name) {
-    if (this.controls[name])
-      this.controls[name]._registerOnCollectionChange(() => {});
+    this._unregisterControl(this.controls[name]);
     delete this.controls[name];
+    this._revalidateStaleDependents();
     this.updateValueAndValidity();
     this._onCollectionChange();
   }
@@ -1005,10 +1670,10 @@ export class FormGroup extends AbstractControl {
    * @return {void}
    */
   setControl(name, control) {
-    if (this.controls[name])
-      this.controls[name]._registerOnCollectionChange(() => {});
+    this._unregisterControl(this.controls[name]);
     delete this.controls[name];
     if (control) this.registerControl(name, control);
+    this._revalidateStaleDependents();
     this.updateValueAndValidity();
     this._onCollectionChange();
   }
@@ -1149,7 +1814,8 @@ export class FormGroup extends AbstractControl {
     return res;
   }
   _setUpControls() {
-    this._forEachChild(control => {
+    this._forEachChild((control, name) => {
+      control._name = name;
       control.setParent(this);
       control._registerOnCollectionChange(this._onCollectionChange);
     });
@@ -1202,23 +1868,29 @@ export class FormArray extends AbstractControl {
     this.validatorOrOpts = validatorOrOpts;
     this._initObservables();
     this._setUpdateStrategy(validatorOrOpts);
+    this._setAsyncValidatorOptions(validatorOrOpts);
+    this._setAccessibilityOptions(validatorOrOpts);
     this._setUpControls();
     this.updateValueAndValidity({
       onlySelf: true,
       emitEvent: false
     });
-    this.handleSubmit = e => {
-      if (e) {
-        e.preventDefault();
-      }
-      if (this._anyControlsUnsubmitted()) {
-        this.markAsSubmitted({
-          emitEvent: false
-        });
-      }
-      if (!this._syncPendingControls()) {
-        this.updateValueAndValidity();
+    /**
+     * Submit action, can be used as an `onSubmit` event handler.
+     *
+     * If called with the `onValid`, `onInvalid` & `onError` callbacks then it returns an
+     * event handler which submits the control with those callbacks.
+     * @param {any|Function} eventOrOnValid
+     * @param {Function} onInvalid
+     * @param {Function} onError
+     * @return {Promise<Boolean>|Function}
+     */
+    this.handleSubmit = (eventOrOnValid, onInvalid, onError) => {
+      if (isFunction(eventOrOnValid)) {
+        return event =>
+          this._submit(event, eventOrOnValid, onInvalid, onError);
       }
+      return this._submit(eventOrOnValid);
     };
   }
   /**
@@ -1238,6 +1910,8 @@ export class FormArray extends AbstractControl {
   push(control) {
     this.controls.push(control);
     this._registerControl(control);
+    this._updateControlNames();
+    this._revalidateStaleDependents();
     this.updateValueAndValidity();
     this._onCollectionChange();
   }
@@ -1250,6 +1924,8 @@ export class FormArray extends AbstractControl {
   insert(index, control) {
     this.controls.splice(index, 0, control);
     this._registerControl(control);
+    this._updateControlNames();
+    this._revalidateStaleDependents();
     this.updateValueAndValidity();
     this._onCollectionChange();
   }
@@ -1259,9 +1935,10 @@ export class FormArray extends AbstractControl {
    * @param {Number} index
    */
   removeAt(index) {
-    if (this.controls[index])
-      this.controls[index]._registerOnCollectionChange(() => {});
+    this._unregisterControl(this.controls[index]);
     this.controls.splice(index, 1);
+    this._updateControlNames();
+    this._revalidateStaleDependents();
     this.updateValueAndValidity();
     this._onCollectionChange();
   }
@@ -1272,14 +1949,15 @@ export class FormArray extends AbstractControl {
    * @param {AbstractControl} control
    */
   setControl(index, control) {
-    if (this.controls[index])
-      this.controls[index]._registerOnCollectionChange(() => {});
+    this._unregisterControl(this.controls[index]);
     this.controls.splice(index, 1);
 
     if (control) {
       this.controls.splice(index, 0, control);
       this._registerControl(control);
     }
+    this._updateControlNames();
+    this._revalidateStaleDependents();
 
     this.updateValueAndValidity();
     this._onCollectionChange();
@@ -1400,6 +2078,13 @@ export class FormArray extends AbstractControl {
 
   _setUpControls() {
     this._forEachChild(control => this._registerControl(control));
+    this._updateControlNames();
+  }
+  // The indexes of the items are shifted by the insertions & removals
+  _updateControlNames() {
+    this._forEachChild((control, index) => {
+      control._name = index;
+    });
   }
 
   _checkAllValuesPresent(value) {
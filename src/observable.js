@@ -1,9 +1,71 @@
+/**
+ * The interop point used by RxJS and other TC39 compatible observable libraries.
+ */
+export const $$observable =
+  (typeof Symbol === 'function' && Symbol.observable) || '@@observable'
+
+/**
+ * Converts the subscribe arguments into an observer.
+ * A single function is kept as is to stay compatible with the `unsubscribe(fn)` API.
+ * @param {Function|{next: Function, error: Function, complete: Function}} observerOrNext
+ * @param {Function} error
+ * @param {Function} complete
+ * @return {Function|{next: Function, error: Function, complete: Function}}
+ */
+function toObserver(observerOrNext, error, complete) {
+  if (typeof observerOrNext === 'function') {
+    if (!error && !complete) {
+      return observerOrNext
+    }
+    return { next: observerOrNext, error, complete }
+  }
+  return observerOrNext || {}
+}
+
 export default class Observable {
   constructor() {
     this.observers = []
+    this.isStopped = false
+    this.hasError = false
+    this.thrownError = null
   }
-  subscribe(fn) {
-    this.observers.push(fn)
+  /**
+   * Registers an observer and returns a subscription object which
+   * can be used to remove that particular observer.
+   *
+   * It accepts a next callback, an observer object with `next`, `error` & `complete`
+   * methods or three separate callbacks.
+   * @param {Function|{next: Function, error: Function, complete: Function}} observerOrNext
+   * @param {Function} error
+   * @param {Function} complete
+   * @return {{unsubscribe: Function, closed: Boolean}}
+   */
+  subscribe(observerOrNext, error, complete) {
+    const observer = toObserver(observerOrNext, error, complete)
+    const subscription = {
+      closed: false,
+      unsubscribe: () => {
+        if (subscription.closed) {
+          return
+        }
+        subscription.closed = true
+        const index = this.observers.indexOf(observer)
+        if (index > -1) {
+          this.observers.splice(index, 1)
+        }
+      }
+    }
+    if (this.isStopped) {
+      subscription.closed = true
+      if (this.hasError && observer.error) {
+        observer.error(this.thrownError)
+      } else if (!this.hasError && observer.complete) {
+        observer.complete()
+      }
+      return subscription
+    }
+    this.observers.push(observer)
+    return subscription
   }
   unsubscribe(fn) {
     if (fn) {
@@ -18,9 +80,59 @@ export default class Observable {
     }
   }
   next(o, thisObj) {
+    if (this.isStopped) {
+      return
+    }
     var scope = thisObj || window
-    this.observers.forEach(function(item) {
-      item.call(scope, o)
+    // Iterate over a copy so that observers can unsubscribe while being notified
+    this.observers.slice().forEach(function(item) {
+      if (typeof item === 'function') {
+        item.call(scope, o)
+      } else if (item.next) {
+        item.next(o)
+      }
     })
   }
+  /**
+   * Notifies the observers about an error and stops the observable.
+   * @param {any} err
+   */
+  error(err) {
+    if (this.isStopped) {
+      return
+    }
+    this.isStopped = true
+    this.hasError = true
+    this.thrownError = err
+    const observers = this.observers
+    this.observers = []
+    observers.forEach(item => {
+      if (item.error) {
+        item.error(err)
+      }
+    })
+  }
+  /**
+   * Notifies the observers about the completion and stops the observable.
+   */
+  complete() {
+    if (this.isStopped) {
+      return
+    }
+    this.isStopped = true
+    const observers = this.observers
+    this.observers = []
+    observers.forEach(item => {
+      if (item.complete) {
+        item.complete()
+      }
+    })
+  }
+  /**
+   * Returns the observable itself, so that it can be consumed by RxJS
+   * e.g `from(control.valueChanges)`.
+   */
+  [$$observable]() {
+    return this
+  }
 }
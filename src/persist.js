@@ -0,0 +1,315 @@
+import { FormControl, FormGroup, FormArray } from './model'
+import { warning } from './utils'
+import { createControlFromValue } from './structure'
+
+// Marks the controls which are not saved
+const SKIP = {}
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.localStorage
+      ? window.localStorage
+      : null
+  } catch (e) {
+    // The access to the storage can be denied e.g in the sandboxed iframes
+    return null
+  }
+}
+
+/**
+ * Creates an in-memory storage with the same interface as `localStorage`,
+ * e.g for the tests or the environments without a storage.
+ * @return {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+export function createMemoryStorage() {
+  const items = {}
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value)
+    },
+    removeItem: key => {
+      delete items[key]
+    }
+  }
+}
+
+const toPaths = paths => (paths || []).map(path => String(path).split('.'))
+
+// Checks if the pattern matches the path, `*` matches any key
+const matches = (pattern, path) =>
+  pattern.every(
+    (key, index) => index < path.length && (key === '*' || key === path[index])
+  )
+
+class PersistedForm {
+  constructor(
+    control,
+    {
+      key,
+      storage = getDefaultStorage(),
+      debounce = 500,
+      include,
+      exclude,
+      saveFlags = false,
+      createControl = createControlFromValue
+    } = {}
+  ) {
+    warning(
+      key,
+      `Missing key. Please make sure that a key is passed to persistForm.`
+    )
+    warning(
+      storage,
+      `Missing storage. Please make sure that a storage is passed to persistForm.`
+    )
+    this.control = control
+    this.key = key
+    this.storage = storage
+    this.debounce = debounce
+    this.include = include ? toPaths(include) : null
+    this.exclude = toPaths(exclude)
+    this.saveFlags = saveFlags
+    this.createControl = createControl
+    this.timeout = null
+    this.ready = false
+    this.onChanges = this.onChanges.bind(this)
+    this.subscriptions = [control.valueChanges.subscribe(this.onChanges)]
+    if (saveFlags) {
+      // The touched & dirty flags don't change the value
+      this.subscriptions.push(control.stateChanges.subscribe(this.onChanges))
+    }
+    /**
+     * Resolves true if a draft has been restored.
+     */
+    this.restored = this.restore()
+  }
+  isSaved(path) {
+    if (this.exclude.some(pattern => matches(pattern, path))) {
+      return false
+    }
+    return (
+      !this.include ||
+      // The included controls or the ancestors of the included controls
+      this.include.some(
+        pattern =>
+          matches(pattern, path) ||
+          (path.length < pattern.length &&
+            matches(pattern.slice(0, path.length), path))
+      )
+    )
+  }
+  isIncluded(path) {
+    return !this.include || this.include.some(pattern => matches(pattern, path))
+  }
+  // Returns the raw value of the saved controls
+  serialize(control, path) {
+    if (path.length && !this.isSaved(path)) {
+      return SKIP
+    }
+    if (control instanceof FormGroup) {
+      const value = {}
+      Object.keys(control.controls).forEach(name => {
+        const childValue = this.serialize(
+          control.controls[name],
+          path.concat(name)
+        )
+        if (childValue !== SKIP) {
+          value[name] = childValue
+        }
+      })
+      return value
+    }
+    if (control instanceof FormArray) {
+      // Keep the positions of the items
+      return control.controls.map((child, index) => {
+        const childValue = this.serialize(child, path.concat(String(index)))
+        return childValue === SKIP ? null : childValue
+      })
+    }
+    return this.isIncluded(path) ? control.value : SKIP
+  }
+  // Returns the paths of the controls with the flag e.g `touched`
+  collectFlag(control, flag, path = [], paths = []) {
+    if (control instanceof FormControl) {
+      if (control[flag] && path.length && this.isSaved(path)) {
+        paths.push(path.join('.'))
+      }
+    } else {
+      control._forEachChild((child, key) =>
+        this.collectFlag(child, flag, path.concat(String(key)), paths)
+      )
+    }
+    return paths
+  }
+  /**
+   * Adds or removes the items of the arrays to match the saved value and returns
+   * the value to be patched.
+   * @param {AbstractControl} control
+   * @param {any} value
+   * @param {String[]} path
+   * @return {any}
+   */
+  prepare(control, value, path = []) {
+    if (control instanceof FormGroup) {
+      if (value === null || typeof value !== 'object') {
+        return SKIP
+      }
+      const patch = {}
+      Object.keys(value).forEach(name => {
+        const child = control.controls[name]
+        const childValue = child
+          ? this.prepare(child, value[name], path.concat(name))
+          : SKIP
+        if (childValue !== SKIP) {
+          patch[name] = childValue
+        }
+      })
+      return patch
+    }
+    if (control instanceof FormArray) {
+      if (!(value instanceof Array)) {
+        return SKIP
+      }
+      while (control.length > value.length) {
+        control.removeAt(control.length - 1)
+      }
+      while (control.length < value.length) {
+        const index = control.length
+        control.push(
+          this.createControl(value[index], path.concat(String(index)).join('.'))
+        )
+      }
+      return control.controls.map((child, index) => {
+        const childValue = this.prepare(
+          child,
+          value[index],
+          path.concat(String(index))
+        )
+        return childValue === SKIP ? child.value : childValue
+      })
+    }
+    return value
+  }
+  /**
+   * Reads the draft from the storage and patches the form.
+   * @return {Promise<Boolean>}
+   */
+  restore() {
+    if (!this.storage || !this.key) {
+      return Promise.resolve(false)
+    }
+    return new Promise(resolve => resolve(this.storage.getItem(this.key)))
+      .then(item => {
+        if (!item) {
+          return false
+        }
+        const draft = JSON.parse(item)
+        const value = this.prepare(this.control, draft.value)
+        if (value !== SKIP) {
+          this.control.patchValue(value)
+        }
+        if (draft.touched) {
+          draft.touched.forEach(path => this.markControl(path, 'markAsTouched'))
+        }
+        if (draft.dirty) {
+          draft.dirty.forEach(path => this.markControl(path, 'markAsDirty'))
+        }
+        return true
+      })
+      .catch(error => {
+        warning(false, `Unable to restore the form ${this.key}: ${error}`)
+        return false
+      })
+      .then(restored => {
+        this.ready = true
+        return restored
+      })
+  }
+  markControl(path, method) {
+    const control = this.control.get(path)
+    if (control) {
+      control[method]({ emitEvent: true })
+    }
+  }
+  onChanges() {
+    // Don't override the draft before it has been restored
+    if (!this.ready) {
+      return
+    }
+    clearTimeout(this.timeout)
+    this.timeout = setTimeout(() => this.save(), this.debounce)
+  }
+  /**
+   * Writes the draft to the storage, the errors of the storage are reported as warnings.
+   * @return {Promise<void>}
+   */
+  save() {
+    clearTimeout(this.timeout)
+    this.timeout = null
+    if (!this.storage || !this.key) {
+      return Promise.resolve()
+    }
+    // The storage can throw e.g when the quota is exceeded or in the private mode of Safari,
+    // it's reported instead since the draft is saved from a timeout
+    return new Promise(resolve => {
+      const value = this.serialize(this.control, [])
+      const draft = { value: value === SKIP ? null : value }
+      if (this.saveFlags) {
+        draft.touched = this.collectFlag(this.control, 'touched')
+        draft.dirty = this.collectFlag(this.control, 'dirty')
+      }
+      resolve(this.storage.setItem(this.key, JSON.stringify(draft)))
+    })
+      .then(() => {})
+      .catch(error => {
+        warning(false, `Unable to save the form ${this.key}: ${error}`)
+      })
+  }
+  /**
+   * Removes the draft from the storage e.g after the form has been submitted.
+   * @return {Promise<void>}
+   */
+  clear() {
+    clearTimeout(this.timeout)
+    this.timeout = null
+    if (!this.storage || !this.key) {
+      return Promise.resolve()
+    }
+    return new Promise(resolve => resolve(this.storage.removeItem(this.key)))
+      .then(() => {})
+      .catch(error => {
+        warning(false, `Unable to clear the form ${this.key}: ${error}`)
+      })
+  }
+  /**
+   * Stops saving the changes of the form.
+   * @return {void}
+   */
+  destroy() {
+    clearTimeout(this.timeout)
+    this.timeout = null
+    this.subscriptions.forEach(subscription => subscription.unsubscribe())
+  }
+}
+
+/**
+ * Saves the draft of a form to a storage & restores it.
+ *
+ * The storage can be `localStorage`, `sessionStorage`, `AsyncStorage` of React Native
+ * or any object with the `getItem`, `setItem` & `removeItem` methods, which can
+ * return a promise.
+ *
+ * ### Example
+ *
+ * ```
+ * const draft = persistForm(form, { key: 'signup', exclude: ['password'] })
+ * draft.restored.then(restored => ...)
+ * ```
+ * @param {AbstractControl} control
+ * @param {{key: String, storage: Object, debounce: Number, include: String[], exclude: String[], saveFlags: Boolean, createControl: Function}} options
+ * @return {PersistedForm}
+ */
+export function persistForm(control, options) {
+  return new PersistedForm(control, options)
+}
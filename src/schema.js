@@ -0,0 +1,417 @@
+import { warning } from './utils'
+
+// Any version of the RFC 4122 UUIDs, shared with Validators.uuid
+export const UUID_REGEXP = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const FORMAT_REGEXPS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:\S*$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  uuid: UUID_REGEXP
+}
+// The error keys are the same as the ones of the matching validators
+const FORMAT_ERRORS = {
+  email: 'email',
+  uri: 'url',
+  date: 'date',
+  'date-time': 'date',
+  uuid: 'uuid'
+}
+
+// The keywords validated by validateKeywords
+const VALUE_KEYWORDS = [
+  'enum',
+  'const',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'format',
+  'minimum',
+  'exclusiveMinimum',
+  'maximum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'minItems',
+  'maxItems',
+  'uniqueItems'
+]
+
+/**
+ * Empty strings are treated as missing values, the same way as the validators
+ * don't validate empty values to allow optional controls.
+ */
+function isMissing(value) {
+  return value == null || value === ''
+}
+function isEqualValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b)
+}
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key)
+}
+function addErrors(errorsByPath, path, errors) {
+  errorsByPath[path] = Object.assign({}, errorsByPath[path], errors)
+}
+function getJsonType(value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number'
+  }
+  return typeof value
+}
+function matchesType(actualType, type) {
+  return actualType === type || (type === 'number' && actualType === 'integer')
+}
+function isValidFormat(value, format) {
+  if (!FORMAT_REGEXPS[format].test(value)) {
+    return false
+  }
+  return format === 'date' || format === 'date-time'
+    ? !isNaN(new Date(value).getTime())
+    : true
+}
+
+function validateString(schema, value, add) {
+  const length = Array.from(value).length
+  if (schema.minLength != null && length < schema.minLength) {
+    add({
+      minLength: { requiredLength: schema.minLength, actualLength: length }
+    })
+  }
+  if (schema.maxLength != null && length > schema.maxLength) {
+    add({
+      maxLength: { requiredLength: schema.maxLength, actualLength: length }
+    })
+  }
+  if (schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+    add({ pattern: { requiredPattern: schema.pattern, actualValue: value } })
+  }
+  if (FORMAT_ERRORS[schema.format] && !isValidFormat(value, schema.format)) {
+    add({ [FORMAT_ERRORS[schema.format]]: true })
+  }
+}
+
+function validateNumber(schema, value, add) {
+  if (schema.minimum != null && value < schema.minimum) {
+    add({ min: { min: schema.minimum, actual: value } })
+  }
+  if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+    add({
+      min: { min: schema.exclusiveMinimum, actual: value, exclusive: true }
+    })
+  }
+  if (schema.maximum != null && value > schema.maximum) {
+    add({ max: { max: schema.maximum, actual: value } })
+  }
+  if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) {
+    add({
+      max: { max: schema.exclusiveMaximum, actual: value, exclusive: true }
+    })
+  }
+  if (schema.multipleOf != null) {
+    const quotient = value / schema.multipleOf
+    // Tolerate the floating point errors e.g 0.3 / 0.1
+    if (Math.abs(quotient - Math.round(quotient)) >= 1e-8) {
+      add({ step: { step: schema.multipleOf, base: 0, actual: value } })
+    }
+  }
+}
+
+function validateItems(schema, value, add) {
+  if (schema.minItems != null && value.length < schema.minItems) {
+    add({
+      minItems: { requiredItems: schema.minItems, actualItems: value.length }
+    })
+  }
+  if (schema.maxItems != null && value.length > schema.maxItems) {
+    add({
+      maxItems: { requiredItems: schema.maxItems, actualItems: value.length }
+    })
+  }
+  if (schema.uniqueItems) {
+    const duplicates = value.filter(
+      (item, index) =>
+        value.findIndex(other => isEqualValue(item, other)) !== index
+    )
+    if (duplicates.length) {
+      add({ uniqueItems: { duplicates } })
+    }
+  }
+}
+
+/**
+ * Validates a value against the keywords which don't depend on the nested values,
+ * the keywords of the other types are ignored.
+ * @param {Object} schema
+ * @param {any} value
+ * @param {String} actualType
+ * @param {(errors: Object) => void} add
+ * @return {void}
+ */
+function validateKeywords(schema, value, actualType, add) {
+  if (schema.enum && !schema.enum.some(item => isEqualValue(item, value))) {
+    add({ oneOf: { allowedValues: schema.enum, actualValue: value } })
+  }
+  if (schema.const !== undefined && !isEqualValue(schema.const, value)) {
+    add({ const: { requiredValue: schema.const, actualValue: value } })
+  }
+  if (actualType === 'string') {
+    validateString(schema, value, add)
+  } else if (actualType === 'number' || actualType === 'integer') {
+    validateNumber(schema, value, add)
+  } else if (actualType === 'array') {
+    validateItems(schema, value, add)
+  }
+}
+
+function validateArray(schema, value, path, errorsByPath) {
+  if (schema.items) {
+    value.forEach((item, index) => {
+      const itemSchema = Array.isArray(schema.items)
+        ? schema.items[index]
+        : schema.items
+      validateJsonSchema(itemSchema, item, joinPath(path, index), errorsByPath)
+    })
+  }
+}
+
+function validateObject(schema, value, path, errorsByPath) {
+  if (schema.required) {
+    schema.required.forEach(key => {
+      if (isMissing(value[key])) {
+        addErrors(errorsByPath, joinPath(path, key), { required: true })
+      }
+    })
+  }
+  if (schema.properties) {
+    Object.keys(schema.properties).forEach(key => {
+      validateJsonSchema(
+        schema.properties[key],
+        value[key],
+        joinPath(path, key),
+        errorsByPath
+      )
+    })
+  }
+}
+
+/**
+ * Validates a value against a subset of the JSON Schema draft-07 keywords and
+ * collects the errors by the dot delimited path of the invalid values.
+ * @param {Object} schema
+ * @param {any} value
+ * @param {String} path
+ * @param {{[path: string]: Object}} errorsByPath
+ * @return {{[path: string]: Object}}
+ */
+function validateJsonSchema(schema, value, path, errorsByPath) {
+  if (!schema || typeof schema !== 'object' || isMissing(value)) {
+    return errorsByPath
+  }
+  const add = errors => addErrors(errorsByPath, path, errors)
+  const actualType = getJsonType(value)
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => matchesType(actualType, type))) {
+      add({ type: { requiredType: schema.type, actualType } })
+      // The other keywords are meaningless for a value of the wrong type
+      return errorsByPath
+    }
+  }
+  validateKeywords(schema, value, actualType, add)
+  if (actualType === 'array') {
+    validateArray(schema, value, path, errorsByPath)
+  } else if (actualType === 'object') {
+    validateObject(schema, value, path, errorsByPath)
+  }
+  return errorsByPath
+}
+
+/**
+ * Creates a validator of the keywords of a schema which don't depend on the nested
+ * values, so the controls created from a schema report the same errors as `Validators.fromSchema`.
+ *
+ * The numeric strings of the inputs are validated as numbers if the schema is numeric.
+ * @param {Object} schema
+ * @return {Function|null} null if the schema doesn't have any of the keywords
+ */
+export function createKeywordValidator(schema) {
+  if (!VALUE_KEYWORDS.some(keyword => schema[keyword] !== undefined)) {
+    return null
+  }
+  const types = [].concat(schema.type || [])
+  const isNumeric = types.some(type => type === 'number' || type === 'integer')
+  return control => {
+    let value = control.value
+    if (isMissing(value)) {
+      return null // don't validate empty values to allow optional controls
+    }
+    if (
+      isNumeric &&
+      typeof value === 'string' &&
+      value.trim() !== '' &&
+      !isNaN(Number(value))
+    ) {
+      value = Number(value)
+    }
+    let errors = null
+    validateKeywords(schema, value, getJsonType(value), keywordErrors => {
+      errors = Object.assign({}, errors, keywordErrors)
+    })
+    return errors
+  }
+}
+
+/**
+ * Converts the Yup paths e.g `items[0].name` into dot delimited paths.
+ */
+function normalizePath(path) {
+  return (path || '')
+    .replace(/\[["']?([^"'\]]+)["']?\]/g, '.$1')
+    .replace(/^\./, '')
+}
+
+/**
+ * The built-in schema adapters.
+ *
+ * An adapter validates a value against a schema and returns the errors by the
+ * dot delimited path of the invalid values, an empty path refers to the value itself.
+ */
+const adapters = {
+  jsonSchema: {
+    validate: (schema, value) => validateJsonSchema(schema, value, '', {})
+  },
+  /**
+   * Validates the value with `schema.validateSync`, so the schema must not have async tests.
+   */
+  yup: {
+    validate: (schema, value) => {
+      try {
+        schema.validateSync(value, { abortEarly: false })
+        return {}
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          throw error
+        }
+        const errors = error.inner && error.inner.length ? error.inner : [error]
+        return errors.reduce((errorsByPath, { path, type, message }) => {
+          addErrors(errorsByPath, normalizePath(path), {
+            [type || 'schema']: { message }
+          })
+          return errorsByPath
+        }, {})
+      }
+    }
+  },
+  zod: {
+    validate: (schema, value) => {
+      const result = schema.safeParse(value)
+      if (result.success) {
+        return {}
+      }
+      const issues = result.error.issues || result.error.errors || []
+      return issues.reduce((errorsByPath, { path, code, message }) => {
+        addErrors(errorsByPath, (path || []).join('.'), {
+          [code || 'schema']: { message }
+        })
+        return errorsByPath
+      }, {})
+    }
+  }
+}
+
+function resolveAdapter(adapter) {
+  const resolved = typeof adapter === 'string' ? adapters[adapter] : adapter
+  if (!resolved || typeof resolved.validate !== 'function') {
+    throw new Error(
+      `Invalid schema adapter: ${adapter}. Expected one of ${Object.keys(
+        adapters
+      ).join(', ')} or an object with a validate method.`
+    )
+  }
+  return resolved
+}
+
+/**
+ * Sets the errors on the control without overriding the errors of its own validators.
+ *
+ * The errors of the previous run are kept as long as the control hasn't been
+ * re-validated in between, so they can be removed when they are fixed.
+ * @param {AbstractControl} control
+ * @param {Object|null} errors
+ * @param {{control: AbstractControl, ownErrors: Object|null, errors: Object|null}} previous
+ * @return {{control: AbstractControl, ownErrors: Object|null, errors: Object|null}}
+ */
+function applyErrors(control, errors, previous) {
+  const ownErrors =
+    previous && control.errors === previous.errors
+      ? previous.ownErrors
+      : control.errors
+  const merged = errors ? Object.assign({}, ownErrors, errors) : ownErrors
+  if (!isEqualValue(merged, control.errors)) {
+    control.setErrors(merged)
+  }
+  return { control, ownErrors, errors: control.errors }
+}
+
+/**
+ * Creates a validator which validates the value of the control against the schema
+ * once and distributes the errors to the nested controls by path.
+ *
+ * The errors which belong to the control itself are returned, the errors of paths
+ * without a matching control are returned under the `schema` key.
+ * @param {any} schema
+ * @param {String|{validate: (schema: any, value: any) => Object}} adapter
+ * @return {Function}
+ */
+export function createSchemaValidator(schema, adapter = 'jsonSchema') {
+  const { validate } = resolveAdapter(adapter)
+  // The distributed errors are tracked per control, so the validator can be shared by multiple forms
+  const appliedByControl = new WeakMap()
+  return control => {
+    const errorsByPath = validate(schema, control.value) || {}
+    let ownErrors = null
+    let unmatchedErrors = null
+    const nestedErrors = []
+    Object.keys(errorsByPath).forEach(path => {
+      const nested = path === '' ? control : control.get(path)
+      if (nested === control) {
+        ownErrors = Object.assign({}, ownErrors, errorsByPath[path])
+        return
+      }
+      warning(nested, `Cannot find the control with path: ${path}.`)
+      if (!nested) {
+        unmatchedErrors = Object.assign({}, unmatchedErrors, {
+          [path]: errorsByPath[path]
+        })
+      } else if (!nested.disabled) {
+        nestedErrors.push({ control: nested, errors: errorsByPath[path] })
+      }
+    })
+    const previous = appliedByControl.get(control) || []
+    // Remove the fixed errors from the controls of the previous run
+    const applied = previous
+      .filter(entry => !nestedErrors.some(n => n.control === entry.control))
+      .map(entry => applyErrors(entry.control, null, entry))
+      .filter(entry => entry.ownErrors !== entry.errors)
+    nestedErrors.forEach(({ control: nested, errors }) => {
+      applied.push(
+        applyErrors(
+          nested,
+          errors,
+          previous.find(entry => entry.control === nested)
+        )
+      )
+    })
+    appliedByControl.set(control, applied)
+    return unmatchedErrors
+      ? Object.assign({}, ownErrors, { schema: unmatchedErrors })
+      : ownErrors
+  }
+}
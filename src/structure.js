@@ -0,0 +1,67 @@
+import { FormControl, FormGroup, FormArray } from './model'
+
+/**
+ * Creates a control from a value, used to add the missing items to the arrays.
+ * @param {any} value
+ * @return {AbstractControl}
+ */
+export function createControlFromValue(value) {
+  if (value instanceof Array) {
+    return new FormArray(value.map(createControlFromValue))
+  }
+  if (value !== null && typeof value === 'object') {
+    const controls = {}
+    Object.keys(value).forEach(key => {
+      controls[key] = createControlFromValue(value[key])
+    })
+    return new FormGroup(controls)
+  }
+  return new FormControl(value)
+}
+
+/**
+ * Adds or removes the items of the nested arrays of a control, so the length of
+ * each array matches the value.
+ * @param {AbstractControl} control
+ * @param {any} value
+ * @param {(value: any, path: String) => AbstractControl} createControl
+ * @param {String[]} path
+ * @return {void}
+ */
+export function matchArrayLengths(
+  control,
+  value,
+  createControl = createControlFromValue,
+  path = []
+) {
+  if (control instanceof FormGroup) {
+    if (value !== null && typeof value === 'object') {
+      Object.keys(control.controls).forEach(name =>
+        matchArrayLengths(
+          control.controls[name],
+          value[name],
+          createControl,
+          path.concat(name)
+        )
+      )
+    }
+  } else if (control instanceof FormArray && value instanceof Array) {
+    while (control.length > value.length) {
+      control.removeAt(control.length - 1)
+    }
+    while (control.length < value.length) {
+      const index = control.length
+      control.push(
+        createControl(value[index], path.concat(String(index)).join('.'))
+      )
+    }
+    control.controls.forEach((child, index) =>
+      matchArrayLengths(
+        child,
+        value[index],
+        createControl,
+        path.concat(String(index))
+      )
+    )
+  }
+}
@@ -0,0 +1,65 @@
+function isEmptyInputValue(value) {
+  return value == null || value === ''
+}
+
+/**
+ * Provides a set of transformers to be used as the `parse` & `format` options
+ * of the form controls.
+ */
+export default class Transformers {
+  /**
+   * Converts a string into a number, the empty values are converted into `null`.
+   * The values which are not numeric are kept as they are, so they can be validated.
+   */
+  static toNumber(value) {
+    if (isEmptyInputValue(value)) {
+      return null
+    }
+    if (typeof value === 'number') {
+      return value
+    }
+    const number = Number(String(value).trim())
+    return isNaN(number) ? value : number
+  }
+  /**
+   * Removes the whitespaces from both ends of a string.
+   */
+  static trim(value) {
+    return typeof value === 'string' ? value.trim() : value
+  }
+  /**
+   * Converts a string or a timestamp into a `Date`, the empty values are converted into `null`.
+   * The invalid dates are kept as they are, so they can be validated.
+   */
+  static toDate(value) {
+    if (isEmptyInputValue(value)) {
+      return null
+    }
+    if (value instanceof Date) {
+      return value
+    }
+    const date = new Date(value)
+    return isNaN(date.getTime()) ? value : date
+  }
+  /**
+   * Converts an empty string into `null`.
+   */
+  static emptyToNull(value) {
+    return isEmptyInputValue(value) ? null : value
+  }
+  /**
+   * Compose multiple transformers into a single function which applies them from left to right.
+   * @param {(Function|null|undefined)[]|null} transformers
+   * @return {Function|null}
+   */
+  static compose(transformers) {
+    if (!transformers) return null
+    const presentTransformers = transformers.filter(t => t != null)
+    if (presentTransformers.length === 0) return null
+    return value =>
+      presentTransformers.reduce(
+        (result, transformer) => transformer(result),
+        value
+      )
+  }
+}
@@ -1,4 +1,4 @@
-import Observable from "./observable";
+import Observable, { $$observable } from "./observable";
 
 /** Converts a promise into Observable
  * @param {Promise} r
@@ -11,9 +11,10 @@ export function fromPromise(r, cb) {
     value => {
       const mappedValue = value => (cb ? cb(value) : value);
       observable.next(mappedValue(value));
+      observable.complete();
     },
     error => {
-      observable.next(error);
+      observable.error(error);
     }
   ).then(null, error => {
     throw error;
@@ -44,18 +45,69 @@ export function isFunction(obj) {
 export function isObservable(obj) {
   return !!obj && typeof obj.subscribe === "function";
 }
+/**
+ * Checks if an object implements the interop observable protocol i.e `Symbol.observable`
+ * @param {any} obj
+ * @returns {boolean}
+ */
+export function isInteropObservable(obj) {
+  return !!obj && typeof obj[$$observable] === "function";
+}
 /**
  * Converts an object into Observable
  * @param {any} r
  * @returns {Observable}
  */
 export function toObservable(r) {
-  const obs = isPromise(r) ? fromPromise(r) : r;
+  let obs = r;
+  if (isPromise(r)) {
+    obs = fromPromise(r);
+  } else if (isInteropObservable(r)) {
+    obs = r[$$observable]();
+  }
   if (!isObservable(obs)) {
     throw new Error("Expected validator to return Promise or Observable.");
   }
   return obs;
 }
+/**
+ * Converts a Promise or an Observable into a Promise which resolves with the
+ * first emitted value.
+ * @param {any} r
+ * @returns {Promise}
+ */
+export function toPromise(r) {
+  if (isPromise(r)) {
+    return r;
+  }
+  const obs = toObservable(r);
+  return new Promise((resolve, reject) => {
+    let subscription = null;
+    let done = false;
+    subscription = obs.subscribe({
+      next: value => {
+        done = true;
+        resolve(value);
+        if (subscription) {
+          subscription.unsubscribe();
+        }
+      },
+      error: reject,
+      complete: () => resolve(null)
+    });
+    // Unsubscribe if the value has been emitted synchronously
+    if (done && subscription) {
+      subscription.unsubscribe();
+    }
+  });
+}
+/**
+ * Creates an AbortController if the environment supports it
+ * @returns {AbortController|null}
+ */
+export function createAbortController() {
+  return typeof AbortController !== "undefined" ? new AbortController() : null;
+}
 export const isReactNative = () =>
   typeof window !== "undefined" &&
   window.navigator &&
@@ -78,10 +130,25 @@ export const propsToBeMap = {
   errors: "errors",
   hasError: "hasError",
   getError: "getError",
+  errorMessages: "errorMessages",
+  firstErrorMessage: "firstErrorMessage",
   status: "status",
   pending: "pending",
   pendingValue: "_pendingValue"
 };
+/**
+ * Maps the common props of a control to a props object, so that the getters
+ * defined on the prototype can be passed to a react component.
+ * @param {AbstractControl} control
+ * @returns {{[key: string]: any}}
+ */
+export const mapControlToProps = control => {
+  const props = {};
+  Object.keys(propsToBeMap).forEach(key => {
+    props[key] = control[propsToBeMap[key]];
+  });
+  return props;
+};
 export const controlsToBeMap = {
   ReactNative: {
     switch: {
@@ -116,17 +183,16 @@ export const getInputControls = inputType =>
       controlsToBeMap.ReactNative.default
     : controlsToBeMap.default;
 
+const toArray = value =>
+  value === undefined || value === null ? [] : [].concat(value);
+
 export function getHandler(inputType, value, control) {
   const controlObject = {};
   const inputControls = getInputControls(inputType);
   Object.keys(inputControls).forEach(key => {
     let controlProperty = null;
     if (key === "value") {
-      if (control.updateOn !== "change") {
-        controlProperty = getAbsoluteValue(control._pendingValue);
-      } else {
-        controlProperty = getAbsoluteValue(control.value);
-      }
+      controlProperty = getAbsoluteValue(control._getViewValue());
     } else {
       controlProperty = control[inputControls[key]];
     }
@@ -143,8 +209,62 @@ export function getHandler(inputType, value, control) {
       mappedObject.value = value;
       mappedObject["type"] = inputType;
       break;
+    case "checkboxGroup": {
+      // Toggles the membership of the option in the array value
+      const selected = toArray(control._getViewValue());
+      mappedObject["checked"] = selected.indexOf(value) > -1;
+      mappedObject.value = value;
+      mappedObject["type"] = "checkbox";
+      mappedObject.onChange = event => {
+        const checked = isEvent(event) ? event.target.checked : !!event;
+        const values = toArray(control._getViewValue()).filter(
+          item => item !== value
+        );
+        control.onChange(checked ? values.concat([value]) : values);
+      };
+      break;
+    }
+    case "select":
+      if (value && value.multiple) {
+        mappedObject.value = toArray(control._getViewValue());
+        mappedObject["multiple"] = true;
+      }
+      break;
+    case "file":
+      // The value of a file input can't be set
+      delete mappedObject.value;
+      mappedObject["type"] = inputType;
+      if (value && value.multiple) {
+        mappedObject["multiple"] = true;
+      }
+      break;
+    case "number":
+    case "range":
+      mappedObject["type"] = inputType;
+      break;
     default:
   }
+  if (control.accessibility && !isReactNative()) {
+    const { id, errorId } = control;
+    const hasOption = inputType === "radio" || inputType === "checkboxGroup";
+    // The options of a group need unique ids
+    mappedObject["id"] = hasOption
+      ? `${id}-${String(value).replace(/[^\w-]/g, "_")}`
+      : id;
+    mappedObject["name"] = control.pathString;
+    mappedObject["aria-invalid"] = control.showErrors;
+    mappedObject["aria-required"] = control.required;
+    if (control.showErrors) {
+      mappedObject["aria-describedby"] = errorId;
+    }
+  }
+  // Keep the position of the caret in the masked text inputs
+  if (control.mask && isReactNative() && inputControls.onChange) {
+    mappedObject.onSelectionChange = control.onSelectionChange;
+    if (control._selection) {
+      mappedObject.selection = control._selection;
+    }
+  }
   return mappedObject;
 }
 /**
@@ -160,13 +280,6 @@ export function warning(condition, message) {
     }
   }
 }
-/**
- * Generates the unique key for react elements
- * @param {*} pre
- */
-export const generateKey = pre => {
-  return `${pre}_${new Date().getTime()}`;
-};
 
 export const FIELD_PROPS = [
   "strict",
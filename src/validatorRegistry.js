@@ -0,0 +1,102 @@
+import Validators from './validators'
+import { warning } from './utils'
+
+const customValidators = {}
+
+// The built-in validators which have to be called with arguments to create a validator
+const VALIDATOR_FACTORIES = [
+  'min',
+  'max',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'between',
+  'step',
+  'minDate',
+  'maxDate',
+  'oneOf',
+  'notOneOf',
+  'fileSize',
+  'fileType',
+  'minItems',
+  'maxItems',
+  'dependsOn',
+  'matches',
+  'requiredIf',
+  'when',
+  'fromSchema',
+  'compose',
+  'composeAsync'
+]
+
+/**
+ * Registers the custom validators which can be referenced by name in the
+ * serializable validator descriptors e.g `['unique', ['notEqual', 'admin']]`.
+ *
+ * The custom validators have precedence over the built-in validators with the same name.
+ * @param {{[name: string]: Function}} validators
+ * @return {void}
+ */
+export function registerValidators(validators) {
+  Object.assign(customValidators, validators)
+}
+
+function findValidator(name) {
+  if (typeof customValidators[name] === 'function') {
+    return customValidators[name]
+  }
+  return typeof Validators[name] === 'function' ? Validators[name] : null
+}
+
+/**
+ * Resolves a serializable validator descriptor against the registered custom
+ * validators and the `Validators`.
+ *
+ * A string is the name of a validator e.g `'required'` and an array is the name
+ * of a validator factory followed by its arguments e.g `['minLength', 3]`.
+ * A validator referenced by an array without arguments is used as it is, e.g `['required']`.
+ * The built-in factories referenced without arguments and the values which are
+ * neither validators nor descriptors are ignored with a warning.
+ * @param {String|Array|Function} descriptor
+ * @return {Function|null}
+ */
+export function resolveValidator(descriptor) {
+  if (
+    descriptor == null ||
+    typeof descriptor === 'function' ||
+    (typeof descriptor === 'object' &&
+      typeof descriptor.validate === 'function')
+  ) {
+    return descriptor
+  }
+  if (typeof descriptor !== 'string' && !Array.isArray(descriptor)) {
+    warning(
+      false,
+      `Invalid validator: ${descriptor}. Please make sure that it's a function, the name of a validator or an array with the name of a validator factory followed by its arguments.`
+    )
+    return null
+  }
+  const name = Array.isArray(descriptor) ? descriptor[0] : descriptor
+  const args = Array.isArray(descriptor) ? descriptor.slice(1) : []
+  const validator = findValidator(name)
+  warning(
+    validator,
+    `Unknown validator: ${name}. Please make sure that it's a static member of Validators or it has been registered with registerValidators.`
+  )
+  if (!validator) {
+    return null
+  }
+  // The custom validators referenced with arguments are factories
+  const isFactory =
+    validator === Validators[name]
+      ? VALIDATOR_FACTORIES.indexOf(name) > -1
+      : args.length > 0
+  warning(
+    !isFactory || args.length > 0,
+    `The validator ${name} requires arguments. Please use the array form e.g ['${name}', ...args].`
+  )
+  if (isFactory && !args.length) {
+    return null
+  }
+  return isFactory ? validator(...args) : validator
+}
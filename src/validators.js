@@ -1,4 +1,5 @@
-import { fromPromise } from './utils'
+import { fromPromise, toPromise, warning } from './utils'
+import { createSchemaValidator, UUID_REGEXP } from './schema'
 
 function isEmptyInputValue(value) {
   return value == null || value.length === 0
@@ -12,14 +13,135 @@ function _mergeErrors(arrayOfErrors) {
   }, {})
   return Object.keys(res).length === 0 ? null : res
 }
+function _mergeDependencies(validators) {
+  return validators.reduce((res, validator) => {
+    if (validator.dependsOn) {
+      validator.dependsOn.forEach(path => {
+        if (res.indexOf(path) === -1) {
+          res.push(path)
+        }
+      })
+    }
+    return res
+  }, [])
+}
+// Marks a composed validator which requires a value e.g for the `aria-required` attribute
+function _withRequired(validator, validators) {
+  if (
+    validators.some(
+      v =>
+        v === Validators.required ||
+        v === Validators.requiredTrue ||
+        v.isRequired
+    )
+  ) {
+    validator.isRequired = true
+  }
+  return validator
+}
+function _withDependencies(validator, dependsOn) {
+  if (dependsOn.length) {
+    validator.dependsOn = dependsOn
+  }
+  return validator
+}
+/**
+ * Converts a path or a predicate into a condition.
+ * A path condition is fulfilled if the control at the path has the given value,
+ * or a truthy value if no value is given.
+ * A predicate must declare the paths of the controls it depends on, since they
+ * can't be detected.
+ */
+function _toCondition(pathOrPredicate, value, dependsOn) {
+  if (typeof pathOrPredicate === 'string') {
+    return {
+      dependsOn: [pathOrPredicate],
+      test: control => {
+        const dependency = control.root.get(pathOrPredicate)
+        if (!dependency) {
+          return false
+        }
+        return value === undefined
+          ? !!dependency.value
+          : dependency.value === value
+      }
+    }
+  }
+  warning(
+    dependsOn != null,
+    `Missing dependencies of the condition. Please pass the paths of the controls the predicate depends on, otherwise the validator is not re-run when their values change.`
+  )
+  return {
+    dependsOn: dependsOn == null ? [] : [].concat(dependsOn),
+    test: pathOrPredicate
+  }
+}
 function _executeValidators(control, validators) {
   return validators.map(v => v(control))
 }
-function _executeAsyncValidators(control, validators) {
-  return validators.map(v => v(control))
+function _executeAsyncValidators(control, validators, signal) {
+  return validators.map(v => toPromise(v(control, signal)))
 }
 
 const EMAIL_REGEXP = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
+const URL_REGEXP = /^(?:(?:https?|ftp):\/\/)(?:\S+(?::\S*)?@)?(?:localhost|(?:[a-z0-9\u00a1-\uffff](?:[a-z0-9\u00a1-\uffff-]*[a-z0-9\u00a1-\uffff])?\.)+[a-z\u00a1-\uffff]{2,}|(?:\d{1,3}\.){3}\d{1,3})(?::\d{2,5})?(?:[/?#]\S*)?$/i
+const INTEGER_REGEXP = /^[-+]?\d+$/
+const NUMBER_REGEXP = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i
+const CREDIT_CARD_REGEXP = /^\d{12,19}$/
+const IBAN_REGEXP = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/
+const PHONE_REGEXP = /^\+[1-9]\d{1,14}$/
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value)
+  return isNaN(date.getTime()) ? null : date
+}
+function toFiles(value) {
+  if (value == null) {
+    return []
+  }
+  if (typeof value.length === 'number' && typeof value !== 'string') {
+    return Array.prototype.slice.call(value)
+  }
+  return [value]
+}
+function isValidLuhn(digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits.charAt(digits.length - 1 - i), 10)
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) {
+        digit -= 9
+      }
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+function isValidIban(iban) {
+  // Move the country code & check digits to the end and convert the letters to numbers
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`
+  let remainder = 0
+  for (let i = 0; i < rearranged.length; i++) {
+    const code = rearranged.charCodeAt(i)
+    const value = code >= 65 ? String(code - 55) : rearranged.charAt(i)
+    for (let j = 0; j < value.length; j++) {
+      remainder = (remainder * 10 + parseInt(value.charAt(j), 10)) % 97
+    }
+  }
+  return remainder === 1
+}
+function isAcceptedFileType(file, type) {
+  const fileType = file.type || ''
+  const fileName = file.name || ''
+  if (type.charAt(0) === '.') {
+    return fileName.toLowerCase().endsWith(type.toLowerCase())
+  }
+  if (type.endsWith('/*')) {
+    return fileType.startsWith(type.slice(0, -1))
+  }
+  return fileType === type
+}
 
 export default class Validators {
   /**
@@ -125,6 +247,413 @@ export default class Validators {
         : { pattern: { requiredPattern: regexStr, actualValue: control.value } }
     }
   }
+  /**
+   * Validator that performs url validation.
+   */
+  static url(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    return URL_REGEXP.test(control.value) ? null : { url: true }
+  }
+
+  /**
+   * Validator that requires controls to have an integer value.
+   */
+  static integer(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    return INTEGER_REGEXP.test(String(control.value)) ? null : { integer: true }
+  }
+
+  /**
+   * Validator that requires controls to have a numeric value.
+   */
+  static number(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    const isNumber =
+      typeof control.value === 'number'
+        ? isFinite(control.value)
+        : NUMBER_REGEXP.test(String(control.value).trim())
+    return isNumber ? null : { number: true }
+  }
+
+  /**
+   * Validator that requires controls to have a value between two numbers (inclusive).
+   */
+  static between(min, max) {
+    return control => {
+      if (isEmptyInputValue(control.value)) {
+        return null // don't validate empty values to allow optional controls
+      }
+      const parsedValue = parseFloat(control.value)
+      return !isNaN(parsedValue) && (parsedValue < min || parsedValue > max)
+        ? { between: { min, max, actual: parsedValue } }
+        : null
+    }
+  }
+
+  /**
+   * Validator that requires controls to have a value which is a multiple of the step,
+   * starting from the base value.
+   */
+  static step(step, base = 0) {
+    return control => {
+      if (isEmptyInputValue(control.value)) {
+        return null // don't validate empty values to allow optional controls
+      }
+      const parsedValue = parseFloat(control.value)
+      if (isNaN(parsedValue)) {
+        return null
+      }
+      const quotient = (parsedValue - base) / step
+      // Tolerate the floating point errors e.g 0.3 / 0.1
+      return Math.abs(quotient - Math.round(quotient)) < 1e-8
+        ? null
+        : { step: { step, base, actual: parsedValue } }
+    }
+  }
+
+  /**
+   * Validator that requires controls to have a valid date as value.
+   */
+  static date(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    return toDate(control.value) ? null : { date: true }
+  }
+
+  /**
+   * Validator that requires controls to have a date on or after the given date.
+   */
+  static minDate(minDate) {
+    const min = toDate(minDate)
+    return control => {
+      if (isEmptyInputValue(control.value) || !min) {
+        return null // don't validate empty values to allow optional controls
+      }
+      const actual = toDate(control.value)
+      return actual && actual < min ? { minDate: { minDate, actual } } : null
+    }
+  }
+
+  /**
+   * Validator that requires controls to have a date on or before the given date.
+   */
+  static maxDate(maxDate) {
+    const max = toDate(maxDate)
+    return control => {
+      if (isEmptyInputValue(control.value) || !max) {
+        return null // don't validate empty values to allow optional controls
+      }
+      const actual = toDate(control.value)
+      return actual && actual > max ? { maxDate: { maxDate, actual } } : null
+    }
+  }
+
+  /**
+   * Validator that requires controls to have one of the allowed values.
+   */
+  static oneOf(allowedValues) {
+    return control => {
+      if (isEmptyInputValue(control.value)) {
+        return null // don't validate empty values to allow optional controls
+      }
+      return allowedValues.indexOf(control.value) > -1
+        ? null
+        : { oneOf: { allowedValues, actualValue: control.value } }
+    }
+  }
+
+  /**
+   * Validator that requires controls to not have any of the forbidden values.
+   */
+  static notOneOf(forbiddenValues) {
+    return control => {
+      if (isEmptyInputValue(control.value)) {
+        return null // don't validate empty values to allow optional controls
+      }
+      return forbiddenValues.indexOf(control.value) > -1
+        ? { notOneOf: { forbiddenValues, actualValue: control.value } }
+        : null
+    }
+  }
+
+  /**
+   * Validator that performs uuid validation, any version is accepted.
+   */
+  static uuid(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    return UUID_REGEXP.test(control.value) ? null : { uuid: true }
+  }
+
+  /**
+   * Validator that performs credit card number validation using the Luhn algorithm.
+   * Spaces and dashes are ignored.
+   */
+  static creditCard(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    const digits = String(control.value).replace(/[\s-]/g, '')
+    return CREDIT_CARD_REGEXP.test(digits) && isValidLuhn(digits)
+      ? null
+      : { creditCard: true }
+  }
+
+  /**
+   * Validator that performs IBAN validation. Spaces are ignored.
+   */
+  static iban(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    const iban = String(control.value)
+      .replace(/\s/g, '')
+      .toUpperCase()
+    return IBAN_REGEXP.test(iban) && isValidIban(iban) ? null : { iban: true }
+  }
+
+  /**
+   * Validator that requires controls to have a phone number in the E.164 format.
+   */
+  static phone(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    return PHONE_REGEXP.test(control.value) ? null : { phone: true }
+  }
+
+  /**
+   * Validator that requires controls to have a valid JSON string as value.
+   */
+  static json(control) {
+    if (isEmptyInputValue(control.value)) {
+      return null
+    }
+    try {
+      JSON.parse(control.value)
+      return null
+    } catch (e) {
+      return { json: true }
+    }
+  }
+
+  /**
+   * Validator that requires the selected files to not exceed the maximum size in bytes.
+   */
+  static fileSize(maxSize) {
+    return control => {
+      const actualSize = toFiles(control.value).reduce(
+        (size, file) => Math.max(size, file.size || 0),
+        0
+      )
+      return actualSize > maxSize ? { fileSize: { maxSize, actualSize } } : null
+    }
+  }
+
+  /**
+   * Validator that requires the selected files to be of one of the accepted types.
+   * The types are defined in the same way as the `accept` attribute of file inputs
+   * e.g `['image/*', '.pdf']`.
+   */
+  static fileType(allowedTypes) {
+    const types = [].concat(allowedTypes)
+    return control => {
+      const invalidFile = toFiles(control.value).find(
+        file => !types.some(type => isAcceptedFileType(file, type))
+      )
+      return invalidFile
+        ? { fileType: { allowedTypes: types, actualType: invalidFile.type } }
+        : null
+    }
+  }
+
+  /**
+   * Validator that requires controls to have an array value with a minimum number of items.
+   * The values which are not arrays are ignored.
+   */
+  static minItems(minItems) {
+    return control => {
+      if (!Array.isArray(control.value)) {
+        return null
+      }
+      const items = control.value.length
+      return items < minItems
+        ? { minItems: { requiredItems: minItems, actualItems: items } }
+        : null
+    }
+  }
+
+  /**
+   * Validator that requires controls to have an array value with a maximum number of items.
+   * The values which are not arrays are ignored.
+   */
+  static maxItems(maxItems) {
+    return control => {
+      if (!Array.isArray(control.value)) {
+        return null
+      }
+      const items = control.value.length
+      return items > maxItems
+        ? { maxItems: { requiredItems: maxItems, actualItems: items } }
+        : null
+    }
+  }
+
+  /**
+   * Validator that requires controls to have an array value without duplicate items.
+   * The items are compared by their JSON representation, the values which are not arrays are ignored.
+   */
+  static uniqueItems(control) {
+    if (!Array.isArray(control.value)) {
+      return null
+    }
+    const counts = {}
+    const duplicates = []
+    control.value.forEach(item => {
+      const key = JSON.stringify(item)
+      counts[key] = (counts[key] || 0) + 1
+      if (counts[key] === 2) {
+        duplicates.push(item)
+      }
+    })
+    return duplicates.length ? { uniqueItems: { duplicates } } : null
+  }
+
+  /**
+   * Creates a validator which depends on the controls at the given paths,
+   * the paths are resolved from the root control.
+   *
+   * The validator is re-run whenever the value of a dependency changes and the
+   * errors are set on the control which uses the validator.
+   *
+   * ### Example
+   *
+   * ```
+   * Validators.dependsOn('startDate', (control, startDate) =>
+   *   startDate && control.value < startDate.value ? { endDate: true } : null
+   * )
+   * ```
+   * @param {String|String[]} paths
+   * @param {(control: AbstractControl, ...dependencies: AbstractControl[]) => Object|null} fn
+   * @return {Function}
+   */
+  static dependsOn(paths, fn) {
+    const dependsOn = Array.isArray(paths) ? paths : [paths]
+    const validator = control =>
+      fn(control, ...dependsOn.map(path => control.root.get(path)))
+    validator.dependsOn = dependsOn
+    return validator
+  }
+
+  /**
+   * Validator that requires the control's value to match the value of the control at the given path.
+   */
+  static matches(path) {
+    return Validators.dependsOn(path, (control, other) => {
+      if (isEmptyInputValue(control.value) || !other) {
+        return null // don't validate empty values to allow optional controls
+      }
+      return control.value === other.value
+        ? null
+        : { matches: { requiredPath: path, actualValue: control.value } }
+    })
+  }
+  /**
+   * Validator that requires controls to have a non-empty value if the condition is fulfilled.
+   *
+   * The condition can either be a path of a control with the value it must have,
+   * or a predicate with the paths of the controls it depends on, which are required.
+   *
+   * ### Example
+   *
+   * ```
+   * Validators.requiredIf('country', 'US')
+   * Validators.requiredIf(control => control.root.value.age < 18, ['age'])
+   * ```
+   * @param {String|(control: AbstractControl) => Boolean} condition
+   * @param {any|String|String[]} valueOrDependsOn
+   * @return {Function}
+   */
+  static requiredIf(condition, valueOrDependsOn) {
+    const { test, dependsOn } =
+      typeof condition === 'string'
+        ? _toCondition(condition, valueOrDependsOn)
+        : _toCondition(condition, undefined, valueOrDependsOn)
+    const validator = control =>
+      test(control) ? Validators.required(control) : null
+    return _withDependencies(validator, dependsOn)
+  }
+
+  /**
+   * Runs the validators only if the condition is fulfilled.
+   *
+   * The condition can either be a path of a control which must have a truthy value,
+   * or a predicate with the paths of the controls it depends on, which are required.
+   * The validators are re-run whenever the value of a dependency changes.
+   *
+   * ### Example
+   *
+   * ```
+   * Validators.when('hasCompany', [Validators.required, Validators.minLength(3)])
+   * ```
+   * @param {String|(control: AbstractControl) => Boolean} condition
+   * @param {Function|Function[]} validators
+   * @param {String|String[]} dependsOn
+   * @return {Function}
+   */
+  static when(condition, validators, dependsOn) {
+    const composed = Array.isArray(validators)
+      ? Validators.compose(validators)
+      : validators
+    const { test, dependsOn: conditionDependsOn } = _toCondition(
+      condition,
+      undefined,
+      dependsOn
+    )
+    const validator = control =>
+      composed && test(control) ? composed(control) : null
+    return _withDependencies(
+      validator,
+      _mergeDependencies([{ dependsOn: conditionDependsOn }, composed || {}])
+    )
+  }
+
+  /**
+   * Creates a validator which validates the control's value against a schema once
+   * and distributes the errors to the nested controls by path.
+   *
+   * The adapter can either be the name of a built-in adapter i.e `jsonSchema`, `yup`
+   * or `zod`, or an object with a `validate(schema, value)` method which returns the
+   * errors by the dot delimited path of the invalid values.
+   *
+   * ### Example
+   *
+   * ```
+   * const form = new FormGroup(
+   *   { email: new FormControl('') },
+   *   Validators.fromSchema({
+   *     type: 'object',
+   *     required: ['email'],
+   *     properties: { email: { type: 'string', format: 'email' } }
+   *   })
+   * )
+   * ```
+   * @param {any} schema
+   * @param {String|{validate: (schema: any, value: any) => Object}} adapter
+   * @return {Function}
+   */
+  static fromSchema(schema, adapter) {
+    return createSchemaValidator(schema, adapter)
+  }
+
   /**
    * Compose multiple validators into a single function that returns the union
    * of the individual error maps.
@@ -135,8 +664,12 @@ export default class Validators {
     if (!validators) return null
     const presentValidators = validators.filter(isPresent)
     if (presentValidators.length === 0) return null
-    return control =>
+    const validator = control =>
       _mergeErrors(_executeValidators(control, presentValidators))
+    return _withRequired(
+      _withDependencies(validator, _mergeDependencies(presentValidators)),
+      presentValidators
+    )
   }
   /**
    * Compose multiple async validators into a single function that returns the union
@@ -148,8 +681,12 @@ export default class Validators {
     if (!validators) return null
     const presentValidators = validators.filter(isPresent)
     if (presentValidators.length === 0) return null
-    return control => {
-      const observables = _executeAsyncValidators(control, presentValidators)
+    return (control, signal) => {
+      const observables = _executeAsyncValidators(
+        control,
+        presentValidators,
+        signal
+      )
       return fromPromise(Promise.all(observables), _mergeErrors)
     }
   }